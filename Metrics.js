@@ -0,0 +1,206 @@
+const EventEmitter = require('events');
+
+const MAX_SAMPLES = 10000; // per rolling window, to bound memory usage and the cost of percentiles
+
+const PERCENTILES = [ 50, 95, 99 ];
+
+/**
+ * @param {number[]} values - sorted numbers
+ * @returns {Object} `{ p50, p95, p99 }`, using the nearest-rank method, or null values if `values` is empty.
+ */
+function percentiles(values) {
+  const res = {};
+  PERCENTILES.forEach(p => {
+    res['p' + p] = values.length ? values[Math.ceil(p / 100 * values.length) - 1] : null;
+  });
+  return res;
+}
+
+/**
+ * @param {number} done - number of jobs that succeeded
+ * @param {number} failed - number of jobs that failed
+ * @returns {Object} `{ done, failed, successRate, errorRate }`, where rates are ratios from 0 to 1, or null.
+ */
+function outcomes(done, failed) {
+  const finished = done + failed;
+  return {
+    done,
+    failed,
+    successRate: finished ? done / finished : null,
+    errorRate: finished ? failed / finished : null,
+  };
+}
+
+/**
+ * Samples that were recorded during the last `windowMs` milliseconds, up to MAX_SAMPLES.
+ * @private
+ */
+class RollingWindow {
+
+  /**
+   * @param {number} windowMs - duration of the window, in ms
+   */
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.samples = [];            // { time, ... } objects, from oldest to newest
+  }
+
+  /**
+   * Adds a sample, at time `now`.
+   * @param {number} now - timestamp, in ms
+   * @param {Object} sample
+   */
+  add(now, sample) {
+    sample.time = now;
+    this.samples.push(sample);
+    if (this.samples.length >= 2 * MAX_SAMPLES) {
+      this.samples.splice(0, this.samples.length - MAX_SAMPLES); // amortized, instead of shifting every time
+    }
+  }
+
+  /**
+   * @param {number} now - timestamp, in ms
+   * @returns {Object[]} samples that were added during the window that ends at `now`.
+   */
+  getSamples(now) {
+    const since = now - this.windowMs;
+    let first = Math.max(0, this.samples.length - MAX_SAMPLES);
+    while (first < this.samples.length && this.samples[first].time <= since) ++first;
+    if (first) {
+      this.samples.splice(0, first);
+    }
+    return this.samples;
+  }
+
+}
+
+/**
+ * Keeps track of the timing and outcome of jobs, to provide stats over a rolling window,
+ * and cumulative totals.
+ * @fires jobRan
+ */
+class Metrics extends EventEmitter {
+
+  /**
+   * Instantiate Metrics.
+   * @param {Object} opts
+   * @param {number} opts.metricsWindow - duration of the rolling window, in ms
+   */
+  constructor(opts) {
+    super();
+    this.opts = Object.assign({}, opts);
+    this.waitTimes = new RollingWindow(this.opts.metricsWindow); // { priority, value } of started jobs
+    this.runTimes = new RollingWindow(this.opts.metricsWindow);  // { priority, value } of ended attempts
+    this.finished = new RollingWindow(this.opts.metricsWindow);  // { priority, state } of finished jobs
+    this.totals = { pushed: 0, started: 0, done: 0, failed: 0, cancelled: 0, retried: 0 };
+  }
+
+  /**
+   * Informs Metrics that a job was pushed.
+   */
+  jobPushed() {
+    ++this.totals.pushed;
+  }
+
+  /**
+   * Informs Metrics that a job (or one of its attempts) has just started.
+   * @param {number} priority - priority of the job
+   * @param {number} waitTime - number of ms the job waited in the queue of pending jobs
+   */
+  jobStarted(priority, waitTime) {
+    ++this.totals.started;
+    this.waitTimes.add(Date.now(), { priority, value: waitTime });
+  }
+
+  /**
+   * Informs Metrics that a job (or one of its attempts) has just stopped running.
+   * @param {number} priority - priority of the job
+   * @param {number} runTime - number of ms the job was running
+   */
+  jobRan(priority, runTime) {
+    this.runTimes.add(Date.now(), { priority, value: runTime });
+    /**
+     * Fired every time a job (or one of its attempts) stopped running, e.g. to feed a histogram.
+     * @event jobRan
+     * @memberof Metrics
+     * @type {Object}
+     * @property {number} priority - priority of the job
+     * @property {number} runTime - number of ms the job was running
+     */
+    this.emit('jobRan', { priority, runTime });
+  }
+
+  /**
+   * Informs Metrics that a failed job is going to be run again.
+   */
+  jobRetried() {
+    ++this.totals.retried;
+  }
+
+  /**
+   * Informs Metrics that a job has finished.
+   * @param {number} priority - priority of the job
+   * @param {string} state - `done`, `failed` or `cancelled`
+   */
+  jobFinished(priority, state) {
+    ++this.totals[state];
+    this.finished.add(Date.now(), { priority, state });
+  }
+
+  /**
+   * @param {Object[]} samples
+   * @returns {Object} percentiles of the values of samples
+   * @private
+   */
+  _percentiles(samples) {
+    return percentiles(samples.map(sample => sample.value).sort((a, b) => a - b));
+  }
+
+  /**
+   * @param {Object[]} samples
+   * @returns {Object} number of done and failed jobs, and corresponding rates
+   * @private
+   */
+  _outcomes(samples) {
+    const done = samples.filter(sample => sample.state === 'done').length;
+    const failed = samples.filter(sample => sample.state === 'failed').length;
+    return outcomes(done, failed);
+  }
+
+  /**
+   * @param {Object} counts - number of active jobs, by state, and by priority: `{ pending, running, ..., byPriority }`
+   * @returns {Object} `{ pending, running, ..., done, failed, successRate, errorRate, waitTime, runTime, byPriority, totals }`,
+   * where `done`, `failed`, rates and percentiles of `waitTime` and `runTime` cover the last `metricsWindow` ms.
+   */
+  getStats(counts) {
+    const now = Date.now();
+    const waitTimes = this.waitTimes.getSamples(now);
+    const runTimes = this.runTimes.getSamples(now);
+    const finished = this.finished.getSamples(now);
+    const priorities = new Set(Object.keys(counts.byPriority).map(Number));
+    [ waitTimes, runTimes, finished ].forEach(samples => samples.forEach(sample => priorities.add(sample.priority)));
+    const byPriority = {};
+    Array.from(priorities).sort((a, b) => a - b).forEach(priority => {
+      const ofPriority = sample => sample.priority === priority;
+      byPriority[priority] = Object.assign(
+        { pending: 0, running: 0, scheduled: 0, blocked: 0, waiting: 0 },
+        counts.byPriority[priority],
+        this._outcomes(finished.filter(ofPriority)),
+        {
+          waitTime: this._percentiles(waitTimes.filter(ofPriority)),
+          runTime: this._percentiles(runTimes.filter(ofPriority)),
+        }
+      );
+    });
+    return Object.assign({}, counts, this._outcomes(finished), {
+      waitTime: this._percentiles(waitTimes),
+      runTime: this._percentiles(runTimes),
+      byPriority,
+      totals: Object.assign({}, this.totals),
+      metricsWindow: this.opts.metricsWindow,
+    });
+  }
+
+}
+
+module.exports = Metrics;
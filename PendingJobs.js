@@ -0,0 +1,99 @@
+const PriorityQueue = require('./PriorityQueue');
+
+/**
+ * Pending jobs of a queue, grouped by key: each key has its own heap of jobs, and keys are kept in
+ * another heap, ordered by their first job. This way, finding the next job that can run skips the keys
+ * that reached their limits, without going thru their jobs: it runs in O(b log k), where k is the number
+ * of keys, and b the number of busy keys that come first. Jobs are also kept in a heap of reverse order, so that
+ * the job that would be popped last is found in O(1), and removed in O(log n).
+ */
+class PendingJobs {
+
+  /**
+   * Instantiate a PendingJobs.
+   * @param {Function} compare - compares two jobs, as expected by PriorityQueue
+   * @param {Function} keyOf - returns the key of a job. It must not change while the job is pending.
+   */
+  constructor(compare, keyOf) {
+    this.compare = compare;
+    this.keyOf = keyOf;
+    this.byKey = new Map();       // PriorityQueue of the pending jobs of each key
+    this.keys = new PriorityQueue((a, b) => compare(a.peek(), b.peek())); // queues of byKey, by their first job
+    this.lowest = new PriorityQueue((a, b) => compare(b, a)); // all pending jobs, last one first
+    this.length = 0;              // number of pending jobs
+  }
+
+  /**
+   * Adds a job.
+   * @param {Object} job
+   */
+  push(job) {
+    const key = this.keyOf(job);
+    let jobs = this.byKey.get(key);
+    if (!jobs) {
+      jobs = new PriorityQueue(this.compare);
+      jobs.key = key;
+      this.byKey.set(key, jobs);
+      jobs.push(job);
+      this.keys.push(jobs);
+    } else {
+      jobs.push(job);
+      this.keys.update(jobs); // the job may come first
+    }
+    this.lowest.push(job);
+    ++this.length;
+  }
+
+  /**
+   * Removes a job.
+   * @param {Object} job
+   * @returns true if the job was found and removed.
+   */
+  remove(job) {
+    const jobs = this.byKey.get(this.keyOf(job));
+    if (!jobs || !jobs.remove(job)) return false;
+    this.lowest.remove(job);
+    --this.length;
+    if (jobs.length) {
+      this.keys.update(jobs);
+    } else {
+      this.keys.remove(jobs);
+      this.byKey.delete(jobs.key);
+    }
+    return true;
+  }
+
+  /**
+   * @returns the job that would be popped last, or undefined if there are no jobs.
+   */
+  peekLast() {
+    return this.lowest.peek();
+  }
+
+  /**
+   * Removes the first job whose key can run now.
+   * @param {Function} canRun - returns true if jobs of the given key can run now (default: all keys)
+   * @returns the removed job, or undefined if no job can run now.
+   */
+  pop(canRun = () => true) {
+    const busyKeys = [];
+    let jobs;
+    while ((jobs = this.keys.pop()) && !canRun(jobs.key)) {
+      busyKeys.push(jobs);
+    }
+    busyKeys.forEach(busyJobs => this.keys.push(busyJobs)); // their order does not depend on their position
+    if (!jobs) return undefined;
+    const job = jobs.pop();
+    this.lowest.remove(job);
+    --this.length;
+    if (jobs.length) {
+      this.keys.push(jobs);
+    } else {
+      this.byKey.delete(jobs.key);
+    }
+    return job;
+  }
+
+}
+
+module.exports = PendingJobs;
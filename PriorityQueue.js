@@ -0,0 +1,162 @@
+/**
+ * Binary heap that keeps items sorted according to a comparison function.
+ * push(), pop(), remove() and update() run in O(log n), peek() in O(1).
+ * An item (e.g. an object) can't be in the queue more than once at a time.
+ */
+class PriorityQueue {
+
+  /**
+   * Instantiate a PriorityQueue.
+   * @param {Function} compare - returns a negative number if its first argument must be popped
+   * before its second argument, a positive number if it must be popped after, 0 otherwise.
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];              // binary heap: items[i] comes before items[2i+1] and items[2i+2]
+    this.positions = new Map();   // index of each item in this.items
+  }
+
+  /**
+   * @returns the number of items in the queue.
+   */
+  get length() {
+    return this.items.length;
+  }
+
+  /**
+   * swaps the items at indexes i and j.
+   * @private
+   */
+  _swap(i, j) {
+    const item = this.items[i];
+    this.items[i] = this.items[j];
+    this.items[j] = item;
+    this.positions.set(this.items[i], i);
+    this.positions.set(item, j);
+  }
+
+  /**
+   * moves the item at index i up, until its parent comes before it.
+   * @private
+   */
+  _siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(this.items[i], this.items[parent]) >= 0) return;
+      this._swap(i, parent);
+      i = parent;
+    }
+  }
+
+  /**
+   * moves the item at index i down, until it comes before its children.
+   * @private
+   */
+  _siftDown(i) {
+    const length = this.items.length;
+    for (;;) {
+      const left = 2 * i + 1, right = left + 1;
+      let first = i;
+      if (left < length && this.compare(this.items[left], this.items[first]) < 0) first = left;
+      if (right < length && this.compare(this.items[right], this.items[first]) < 0) first = right;
+      if (first === i) return;
+      this._swap(i, first);
+      i = first;
+    }
+  }
+
+  /**
+   * Adds an item to the queue.
+   * @param {*} item
+   */
+  push(item) {
+    this.items.push(item);
+    this.positions.set(item, this.items.length - 1);
+    this._siftUp(this.items.length - 1);
+  }
+
+  /**
+   * Moves an item to its new place, after a change that affects its order, e.g. its priority.
+   * @param {*} item
+   * @returns true if the item was found.
+   */
+  update(item) {
+    const i = this.positions.get(item);
+    if (i === undefined) return false;
+    this._siftUp(i);
+    this._siftDown(this.positions.get(item));
+    return true;
+  }
+
+  /**
+   * @returns the first item of the queue, without removing it, or undefined if the queue is empty.
+   */
+  peek() {
+    return this.items[0];
+  }
+
+  /**
+   * @returns the last item of the queue, without removing it, in O(n), or undefined if the queue is empty.
+   */
+  peekLast() {
+    return this.items.reduce((last, item) => this.compare(item, last) > 0 ? item : last, this.items[0]);
+  }
+
+  /**
+   * Removes the first item of the queue.
+   * @returns the removed item, or undefined if the queue is empty.
+   */
+  pop() {
+    return this._removeAt(0);
+  }
+
+  /**
+   * removes the item at index i, and restores the heap property.
+   * @private
+   * @returns the removed item, or undefined if there is no item at this index.
+   */
+  _removeAt(i) {
+    if (i < 0 || i >= this.items.length) return undefined;
+    const item = this.items[i];
+    const last = this.items.pop();
+    this.positions.delete(item);
+    if (i < this.items.length) {
+      this.items[i] = last;
+      this.positions.set(last, i);
+      this._siftUp(i);
+      this._siftDown(this.positions.get(last));
+    }
+    return item;
+  }
+
+  /**
+   * Removes an item from the queue.
+   * @param {*} item
+   * @returns true if the item was found and removed.
+   */
+  remove(item) {
+    const i = this.positions.get(item);
+    if (i === undefined) return false;
+    this._removeAt(i);
+    return true;
+  }
+
+  /**
+   * Finds an item of the queue, in O(n).
+   * @param {Function} predicate
+   * @returns the first matching item, in no particular order, or undefined.
+   */
+  find(predicate) {
+    return this.items.find(predicate);
+  }
+
+  /**
+   * @returns an array of all items, in the order they would be popped, in O(n log n).
+   */
+  toArray() {
+    return this.items.slice().sort(this.compare);
+  }
+
+}
+
+module.exports = PriorityQueue;
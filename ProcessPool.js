@@ -0,0 +1,142 @@
+const path = require('path');
+const { fork } = require('child_process');
+const WorkerPool = require('./WorkerPool');
+const { ProcessExitError } = require('./errors');
+
+const CHILD_SCRIPT = path.join(__dirname, 'childProcess.js');
+
+const DEFAULT_PROCESS_OPTIONS = {
+  maxMemoryMb: null,        // falsy => no memory cap. otherwise: max size of the heap of each process, in MB
+  wallClockLimit: null,     // falsy => no limit. otherwise: max duration of each job, in ms, before its process is killed (includes the start of a new process)
+  maxJobsPerProcess: null,  // falsy => processes are reused forever. otherwise: number of jobs after which a process is replaced
+  stderrTailSize: 2000,     // number of characters of a process' stderr that are reported when it exits
+};
+
+/**
+ * Runs `{ module, payload }` jobs in a pool of child processes, so that a job that crashes or leaks
+ * memory can't take the main process down. Processes can be capped in memory and in duration, and
+ * recycled after a number of jobs. When a process exits while running a job, the job fails with a
+ * ProcessExitError that reports its exit code and the tail of its standard error.
+ */
+class ProcessPool extends WorkerPool {
+
+  /**
+   * Instantiate a ProcessPool.
+   * @param {Object} opts
+   * @param {number} opts.size - maximum number of processes, i.e. of jobs running at the same time
+   * @param {number} opts.maxMemoryMb - max size of the heap of each process, in MB (optional)
+   * @param {number} opts.wallClockLimit - max duration of each job, in ms, before its process is killed (optional)
+   * @param {number} opts.maxJobsPerProcess - number of jobs after which a process is replaced (optional)
+   * @param {number} opts.stderrTailSize - number of characters of stderr that are reported when a process exits (default: 2000)
+   * @param {SimpleNodeLogger} opts.log - instance of simple-node-logger (optional)
+   */
+  constructor(opts) {
+    super(Object.assign({}, DEFAULT_PROCESS_OPTIONS, opts));
+  }
+
+  /**
+   * @private
+   * @returns {ChildProcess} a new child process
+   */
+  _createWorker() {
+    this.log.trace('ProcessPool:_createWorker()');
+    const { maxMemoryMb, stderrTailSize } = this.opts;
+    const child = fork(CHILD_SCRIPT, [], {
+      execArgv: maxMemoryMb ? [ `--max-old-space-size=${maxMemoryMb}` ] : [],
+      serialization: 'advanced', // same types of payloads and results as worker threads
+      stdio: [ 'ignore', 'inherit', 'pipe', 'ipc' ],
+    });
+    child.nbJobs = 0;             // number of jobs sent to this process
+    child.stderrTail = '';        // last characters written on stderr during the current job
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', data => child.stderrTail = (child.stderrTail + data).slice(-stderrTailSize));
+    child.on('message', message => this._onMessage(child, message));
+    child.on('error', error => this._onExit(child, error)); // e.g. could not be spawned
+    child.on('close', (code, signal) => // after stderr was fully read
+      this._onExit(child, new ProcessExitError(code, signal, child.stderrTail, child.exitReason)));
+    this.workers.add(child);
+    return child;
+  }
+
+  /**
+   * @private
+   * @param {ChildProcess} child
+   * @param {Object} message
+   */
+  _send(child, message) {
+    ++child.nbJobs;
+    child.stderrTail = '';
+    child.send(message);
+  }
+
+  /**
+   * @private
+   * @param {ChildProcess} child
+   * @returns {Promise} A promise that resolves when the process has exited.
+   */
+  _terminate(child) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return Promise.resolve();
+    }
+    const closed = new Promise(resolve => child.once('close', resolve));
+    child.kill('SIGKILL');
+    return closed;
+  }
+
+  /**
+   * @private
+   * @param {ChildProcess} child
+   * @param {boolean} busy - if false, the process won't prevent the main process from exiting
+   */
+  _setBusy(child, busy) {
+    [ child, child.channel, child.stderr ].forEach(handle => busy ? handle.ref() : handle.unref());
+  }
+
+  /**
+   * @private
+   * @param {ChildProcess} child - a process that just ran a job
+   * @returns false if the process has run `maxJobsPerProcess` jobs.
+   */
+  _canReuse(child) {
+    return !this.opts.maxJobsPerProcess || child.nbJobs < this.opts.maxJobsPerProcess;
+  }
+
+  /**
+   * sends a task to a process, and kills the process if the task exceeds the wall-clock limit.
+   * @private
+   * @param {ChildProcess} child - an idle process
+   * @param {Object} task
+   */
+  _runTask(child, task) {
+    super._runTask(child, task);
+    const { wallClockLimit } = this.opts;
+    if (wallClockLimit && child.task === task) {
+      child.wallClockTimer = setTimeout(() => {
+        child.exitReason = `job exceeded the wall-clock limit of ${wallClockLimit} ms`;
+        this._terminate(child);
+      }, wallClockLimit);
+    }
+  }
+
+  /**
+   * @private
+   * @param {ChildProcess} child
+   */
+  _taskEnded(child) {
+    clearTimeout(child.wallClockTimer);
+    super._taskEnded(child);
+  }
+
+  /**
+   * @private
+   * @param {ChildProcess} child
+   * @param {Error} error
+   */
+  _onExit(child, error) {
+    clearTimeout(child.wallClockTimer);
+    super._onExit(child, error);
+  }
+
+}
+
+module.exports = ProcessPool;
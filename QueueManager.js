@@ -0,0 +1,178 @@
+const EventEmitter = require('events');
+const qyu = require('./qyu');
+const RateLimiter = require('./RateLimiter');
+
+const DEFAULT_MANAGER_OPTIONS = {
+  log: { trace: () => {}, debug: () => {} }, // can be replaced by instance of simple-node-logger
+  rateLimit: null,        // falsy => no global rate limit. otherwise: max number of jobs to run within 1 second, or { limit, intervalMs } window(s)
+  concurrency: null,      // falsy => no global concurrency limit. otherwise: max number of jobs running in all queues
+  rateStrategy: 'endWindow', // how rateLimit is applied: see rateStrategies.js
+};
+
+// numeric stats that are added up across queues
+const SUMMED_STATS = [ 'nbJobsPerSecond', 'running', 'pending', 'scheduled', 'blocked', 'waiting', 'done', 'failed' ];
+
+/**
+ * Creates named queues, that share a global budget of rate and concurrency limits, on top of their own limits.
+ * @fires stats
+ */
+class QueueManager extends EventEmitter {
+
+  /**
+   * Instantiate a QueueManager.
+   * @param {Object} opts
+   * @param {number|Object|Object[]} opts.rateLimit - Maximum number of jobs to be run per second by all queues, or `{ limit, intervalMs }` window(s) (optional)
+   * @param {number} opts.concurrency - Maximum number of jobs running at the same time in all queues (optional)
+   * @param {string} opts.rateStrategy - `endWindow` (default), `slidingWindow`, `fixedWindow` or `tokenBucket`
+   * @param {SimpleNodeLogger} opts.log - instance of simple-node-logger (optional)
+   */
+  constructor(opts) {
+    super();
+    this.opts = Object.assign({}, DEFAULT_MANAGER_OPTIONS, opts);
+    this.log = this.opts.log;
+    this.log.trace('QueueManager:constructor() ', opts);
+    this.queues = new Map();      // instances of Qyu, by name
+    this.statsListeners = new Map(); // listener of the `stats` events of each queue, by name
+    this.limiter = new RateLimiter(Object.assign({}, this.opts, {
+      concurrency: this.opts.concurrency || Infinity, // unlike a queue, no limit by default
+    }));
+    this.limiter.setMaxListeners(0); // each queue listens to its `jobEnded` events
+  }
+
+  /**
+   * Instantiates a queue, whose jobs are subject to the global limits.
+   * @param {string} name - unique name of the queue
+   * @param {Object} opts - options of the queue, as accepted by `qyu()`
+   * @returns {Qyu} the queue
+   */
+  createQueue(name, opts) {
+    this.log.trace('QueueManager:createQueue() ', name);
+    if (this.queues.has(name)) {
+      throw new Error(`a queue is already named ${name}`);
+    }
+    const q = qyu(Object.assign({ log: this.log }, opts, { parentLimiter: this.limiter }));
+    const onStats = stats => {
+      /**
+       * Fired every time one of the queues emits `stats`.
+       * @event stats
+       * @memberof QueueManager
+       * @type {Object}
+       * @property {string} queue - name of the queue
+       * @property {Object} stats - stats of the queue, as provided by its `stats` event
+       */
+      this.emit('stats', { queue: name, stats });
+    };
+    q.on('stats', onStats);
+    this.queues.set(name, q);
+    this.statsListeners.set(name, onStats);
+    return q;
+  }
+
+  /**
+   * @param {string} name - name of a queue
+   * @returns {Qyu} the queue, or undefined.
+   */
+  getQueue(name) {
+    return this.queues.get(name);
+  }
+
+  /**
+   * @returns {string[]} names of the queues, in order of creation.
+   */
+  listQueues() {
+    return Array.from(this.queues.keys());
+  }
+
+  /**
+   * Pauses a queue, and stops managing it. Its running jobs still count against the global limits until they end,
+   * then its jobs are not subject to the global limits anymore.
+   * @param {string} name - name of a queue
+   * @returns {Promise} A promise that resolves with true when the queue has paused, or false if no queue had that name.
+   */
+  removeQueue(name) {
+    const q = this.queues.get(name);
+    if (!q) return Promise.resolve(false);
+    const onStats = this.statsListeners.get(name);
+    this.queues.delete(name);
+    this.statsListeners.delete(name);
+    return q.pause().then(() => {
+      q.removeListener('stats', onStats); // other listeners of the queue are kept
+      q.detachParentLimiter();
+      return true;
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} name - name of a queue, or undefined for all queues
+   * @returns {Qyu[]} the queue with that name, or all queues.
+   */
+  _select(name) {
+    if (name === undefined) {
+      return Array.from(this.queues.values());
+    }
+    const q = this.queues.get(name);
+    if (!q) {
+      throw new Error(`unknown queue: ${name}`);
+    }
+    return [ q ];
+  }
+
+  /**
+   * Starts running jobs of a queue, or of all queues.
+   * @param {string} name - name of the queue (optional)
+   * @returns {Promise} A promise that resolves when the queue(s) have started
+   */
+  start(name) {
+    this.log.trace('QueueManager:start() ', name);
+    return Promise.all(this._select(name).map(q => q.start())).then(() => {});
+  }
+
+  /**
+   * Pauses a queue, or all queues.
+   * @param {string} name - name of the queue (optional)
+   * @returns {Promise} A promise that resolves when the queue(s) have paused (no jobs being processed)
+   */
+  pause(name) {
+    this.log.trace('QueueManager:pause() ', name);
+    return Promise.all(this._select(name).map(q => q.pause())).then(() => {});
+  }
+
+  /**
+   * @param {string} name - name of the queue (optional)
+   * @returns {Promise} A promise that resolves when the queue(s) have no more jobs to process.
+   */
+  drain(name) {
+    return Promise.all(this._select(name).map(q => q.isDrained()
+      ? Promise.resolve()
+      : new Promise(resolve => q.once('drain', resolve))
+    )).then(() => {});
+  }
+
+  /**
+   * @returns {Object} `{ queues, global, ... }`, where `queues` holds the stats of each queue, by name,
+   * `global` holds the `{ running, concurrency, rateLimit, rateWindows }` of global limits, and other
+   * properties are the sums of the counts of all queues: `running`, `pending`, `done`, `totals`...
+   */
+  getStats() {
+    const queues = {};
+    this.queues.forEach((q, name) => queues[name] = q.getStats());
+    const stats = { totals: {} };
+    SUMMED_STATS.forEach(key => stats[key] = 0);
+    Object.keys(queues).forEach(name => {
+      SUMMED_STATS.forEach(key => stats[key] += queues[name][key]);
+      Object.keys(queues[name].totals).forEach(key =>
+        stats.totals[key] = (stats.totals[key] || 0) + queues[name].totals[key]);
+    });
+    const finished = stats.done + stats.failed;
+    stats.successRate = finished ? stats.done / finished : null;
+    stats.errorRate = finished ? stats.failed / finished : null;
+    const { running, concurrency, rateLimit, rateWindows } = this.limiter.getStats();
+    stats.global = { running, concurrency, rateLimit, rateWindows };
+    stats.queues = queues;
+    return stats;
+  }
+
+}
+
+module.exports = QueueManager;
@@ -1,17 +1,12 @@
 const EventEmitter = require('events');
+const { createRateStrategy } = require('./rateStrategies');
 
 const ONE_SECOND = 1000;
 
-const RECENT_JOB_CRITERIA = (now, endDate) => now - endDate <= ONE_SECOND
-
-const MAKE_RECENT_JOB_CHECKER = () => {
-  const now = new Date();
-  return RECENT_JOB_CRITERIA.bind(null, now);
-};
-
 /**
  * Counts jobs per second to provide stats and commit to rating limit.
  * @fires stats
+ * @fires jobEnded
  * @fires drain
  */
 class RateLimiter extends EventEmitter {
@@ -19,7 +14,10 @@ class RateLimiter extends EventEmitter {
   /**
    * Instantiate a RateLimiter.
    * @param {Object} opts
-   * @param {number} opts.rateLimit - Maximum number of jobs to be run per second. If `null`, jobs will be run sequentially.
+   * @param {number|Object|Object[]} opts.rateLimit - Maximum number of jobs to be run per second, or `{ limit, intervalMs }` window(s) that must all be satisfied. If `null`, jobs will be run sequentially.
+   * @param {number} opts.concurrency - Maximum number of jobs running at the same time. (default: 1 if `rateLimit` is `null`, no limit otherwise)
+   * @param {string|Object} opts.rateStrategy - name of a strategy from rateStrategies.js, or custom strategy object. (default: `endWindow`)
+   * @param {number} opts.burst - capacity of the `tokenBucket` strategy (default: `limit` of each window)
    * @param {number} opts.statsInterval - interval for emitting `stats`, in ms
    * @param {SimpleNodeLogger} opts.log - instance of simple-node-logger (optional)
    */
@@ -28,26 +26,52 @@ class RateLimiter extends EventEmitter {
     this.opts = Object.assign({}, opts);
     this.log = this.opts.log;
     this.running = 0;             // number of jobs that are currently running
-    this.recentJobs = [];         // end dates of jobs ended <=1 second ago
+    this.windows = this._getRateWindows(); // array of { limit, intervalMs, burst }
+    this.strategies = this._createStrategies(); // one per window, all must agree to start a job
     this.processedJobs = 0;       // number of jobs processed since last call to start()
     this.statsInterval = null;    // will hold the interval that emits `stats` events
     this.timeOfLastStart = null;  // will hold the time of last call to start()
   }
 
   /**
-   * @returns array of end dates of jobs ended <=1 second ago.
+   * @returns array of rate limiting windows, as expressed by `opts.rateLimit`.
    * @private
    */
-  _cleanRecentJobs() {
-    return this.recentJobs.filter(MAKE_RECENT_JOB_CHECKER());
+  _getRateWindows() {
+    const { rateLimit, rateStrategy, burst } = this.opts;
+    if (!rateLimit || (typeof rateStrategy === 'object' && rateStrategy !== null)) {
+      return []; // no rate limit, or custom strategy object, which holds its own limits
+    }
+    return [].concat(rateLimit).map(window => typeof window === 'number'
+      ? { limit: window, intervalMs: ONE_SECOND, burst }
+      : Object.assign({ intervalMs: ONE_SECOND, burst }, window)
+    );
   }
 
   /**
-   * adds the date of last ended job in this.recentJobs, after cleaning.
+   * @returns the rate limiting strategies, or an empty array if jobs are not rate limited.
    * @private
    */
-  _appendEndedJob() {
-    this.recentJobs = this._cleanRecentJobs().concat([ new Date() ]);
+  _createStrategies() {
+    const { rateStrategy } = this.opts;
+    if (typeof rateStrategy === 'object' && rateStrategy !== null) {
+      return [ rateStrategy ]; // custom strategy object, which holds its own limits
+    } else {
+      return this.windows.map(window => createRateStrategy(rateStrategy || 'endWindow', window));
+    }
+  }
+
+  /**
+   * @returns usage of each rate limiting window: `{ limit, intervalMs, usage }`.
+   * @private
+   */
+  _windowsStats() {
+    const now = Date.now();
+    return this.windows.map((window, i) => ({
+      limit: window.limit,
+      intervalMs: window.intervalMs,
+      usage: this.strategies[i].usage(this.running, now),
+    }));
   }
 
   /**
@@ -62,10 +86,25 @@ class RateLimiter extends EventEmitter {
      * @memberof RateLimiter
      * @type {object}
      * @property {number} nbJobsPerSecond - number of jobs that are processed per second
+     * @property {number} running - number of jobs that are currently running
+     * @property {number} concurrency - maximum number of jobs running at the same time
+     * @property {number|Object|Object[]} rateLimit - maximum number of jobs to be run per second, or window(s), or `null`
+     * @property {Object[]} rateWindows - `{ limit, intervalMs, usage }` for each rate limiting window
      */
-    this.emit('stats', {
-      nbJobsPerSecond: ONE_SECOND * this.processedJobs / (new Date() - this.timeOfLastStart)
-    });
+    this.emit('stats', this.getStats());
+  }
+
+  /**
+   * @returns {Object} `{ nbJobsPerSecond, running, concurrency, rateLimit, rateWindows }`, as in `stats` events.
+   */
+  getStats() {
+    return {
+      nbJobsPerSecond: ONE_SECOND * this.processedJobs / (new Date() - this.timeOfLastStart),
+      running: this.running,
+      concurrency: this.getConcurrency(),
+      rateLimit: this.opts.rateLimit || null,
+      rateWindows: this._windowsStats(),
+    };
   }
 
   /**
@@ -89,20 +128,35 @@ class RateLimiter extends EventEmitter {
 
   /**
    * Informs the RateLimiter that a job has just started
+   * @param {number} nbJobs - number of jobs that the job counts for, e.g. items of a batch (default: 1)
    */
-  jobStarted() {
-    ++this.running;
+  jobStarted(nbJobs = 1) {
+    this.running += nbJobs;
     this.log.trace('RateLimiter:jobStarted => running: ', this.running || '0');
-    ++this.processedJobs;
+    this.processedJobs += nbJobs;
+    const now = Date.now();
+    for (let i = 0; i < nbJobs; ++i) {
+      this.strategies.forEach(strategy => strategy.jobStarted(now));
+    }
   }
 
   /**
    * Informs the RateLimiter that a job has just ended
+   * @param {number} nbJobs - number of jobs that the job counts for, as given to `jobStarted()` (default: 1)
    */
-  jobEnded() {
-    --this.running;
-    this._appendEndedJob(); // mutates this.recentJobs
+  jobEnded(nbJobs = 1) {
+    this.running -= nbJobs;
+    const now = Date.now();
+    for (let i = 0; i < nbJobs; ++i) {
+      this.strategies.forEach(strategy => strategy.jobEnded(now));
+    }
     this.log.trace('RateLimiter:jobEnded => running: ', this.running || '0');
+    /**
+     * Fired every time a job ended, e.g. to let queues that share this RateLimiter run more jobs.
+     * @event jobEnded
+     * @memberof RateLimiter
+     */
+    this.emit('jobEnded');
     if (this.running === 0) {
       this.log.trace('RateLimiter ⚡️ drain');
       /**
@@ -115,18 +169,46 @@ class RateLimiter extends EventEmitter {
   }
 
   /**
-   * determines whether or not it's possible to start another job now, according to rate limits.
+   * @returns the maximum number of jobs that can run at the same time.
+   */
+  getConcurrency() {
+    if (this.opts.concurrency) {
+      return this.opts.concurrency;
+    } else {
+      return this.strategies.length ? Infinity : 1; // without rate limit, run jobs sequentially
+    }
+  }
+
+  /**
+   * @returns the maximum number of jobs that can be started at once, according to concurrency and rate limits.
+   */
+  getCapacity() {
+    return Math.min(this.getConcurrency(), ...this.windows.map((window, i) => this.strategies[i].capacity || window.limit));
+  }
+
+  /**
+   * determines whether or not it's possible to start another job now, according to concurrency and rate limits.
+   * @param {number} nbJobs - number of jobs that the job counts for, e.g. items of a batch (default: 1)
    * @returns true if it's possible to start another job now
    */
-  canRunMore() {
-    if (this.opts.rateLimit === null) {
-      return this.running === 0; // run jobs sequentially, without applying rate limit
+  canRunMore(nbJobs = 1) {
+    if (this.running + nbJobs > this.getConcurrency()) {
+      return false;
     } else {
-      const nbJobsEndedDuringLastSecond = this._cleanRecentJobs().length;
-      return this.running + nbJobsEndedDuringLastSecond < this.opts.rateLimit;
+      const now = Date.now();
+      return this.strategies.every(strategy => strategy.canRun(this.running, now, nbJobs));
     }
   }
 
+  /**
+   * @returns true if no jobs are running, and no jobs are counted against rate limits anymore, i.e. if
+   * this RateLimiter behaves like a new one. (always false with a custom strategy object)
+   */
+  isIdle() {
+    const now = Date.now();
+    return this.running === 0 && this.strategies.every(strategy => strategy.usage && !strategy.usage(0, now));
+  }
+
   /**
    * @returns a promise that resolves when all jobs ended running.
    */
@@ -0,0 +1,206 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { deserializeError } = require('./errors');
+
+const WORKER_SCRIPT = path.join(__dirname, 'workerThread.js');
+
+/**
+ * Runs `{ module, payload }` jobs in a pool of worker threads, so that CPU-bound jobs don't block
+ * the event loop of the main thread. Workers are started when needed, and reused for next jobs.
+ * Idle workers don't prevent the process from exiting.
+ *
+ * Subclasses can run jobs in other kinds of workers (e.g. ProcessPool), by overriding
+ * `_createWorker()`, `_send()`, `_terminate()`, `_setBusy()` and `_canReuse()`.
+ */
+class WorkerPool {
+
+  /**
+   * Instantiate a WorkerPool.
+   * @param {Object} opts
+   * @param {number} opts.size - maximum number of workers, i.e. of jobs running at the same time
+   * @param {SimpleNodeLogger} opts.log - instance of simple-node-logger (optional)
+   */
+  constructor(opts) {
+    this.opts = Object.assign({}, opts);
+    this.log = this.opts.log;
+    this.workers = new Set();     // all the workers of the pool
+    this.idleWorkers = [];        // workers that are not running a job
+    this.waitingTasks = [];       // tasks waiting for a worker to be available
+  }
+
+  /**
+   * Runs a job in a worker.
+   * @param {Object} task - `{ module, payload, jobId, dependencies }`, must be serializable
+   * @param {Object} context
+   * @param {AbortSignal} context.signal - terminates the worker when aborted
+   * @param {Function} context.progress - called when the job reports its progress
+   * @returns {Promise} A promise that resolves with the result of the job, or rejects with its error.
+   */
+  run(task, { signal, progress }) {
+    return new Promise((resolve, reject) => {
+      this.waitingTasks.push({ message: task, signal, progress, resolve, reject });
+      this._runTasks();
+    });
+  }
+
+  /**
+   * assigns waiting tasks to available workers, starting new workers if possible.
+   * @private
+   */
+  _runTasks() {
+    while (this.waitingTasks.length) {
+      const worker = this.idleWorkers.pop() || (this.workers.size < this.opts.size && this._createWorker());
+      if (!worker) return;
+      this._runTask(worker, this.waitingTasks.shift());
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Worker} a new worker
+   */
+  _createWorker() {
+    this.log.trace('WorkerPool:_createWorker()');
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.on('message', message => this._onMessage(worker, message));
+    worker.on('error', error => this._onExit(worker, error));
+    worker.on('exit', code => this._onExit(worker, new Error(`worker exited with code ${code}`)));
+    this.workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * sends a task to a worker.
+   * @private
+   * @param {Worker} worker
+   * @param {Object} message
+   */
+  _send(worker, message) {
+    worker.postMessage(message);
+  }
+
+  /**
+   * stops a worker, which will then call `_onExit()`.
+   * @private
+   * @param {Worker} worker
+   */
+  _terminate(worker) {
+    return worker.terminate();
+  }
+
+  /**
+   * @private
+   * @param {Worker} worker - a worker that just ran a task
+   * @returns true if the worker can run other tasks, false if it must be terminated.
+   */
+  _canReuse(worker) {
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Worker} worker
+   * @param {boolean} busy - if false, the worker won't prevent the process from exiting
+   */
+  _setBusy(worker, busy) {
+    if (busy) {
+      worker.ref();
+    } else {
+      worker.unref();
+    }
+  }
+
+  /**
+   * @private
+   * @param {Worker} worker - an idle worker
+   * @param {Object} task
+   */
+  _runTask(worker, task) {
+    if (task.signal.aborted) {
+      this.idleWorkers.push(worker);
+      task.reject(task.signal.reason);
+      return;
+    }
+    worker.task = task;
+    this._setBusy(worker, true);
+    task.onAbort = () => this._terminate(worker); // the job may be too busy to stop by itself
+    task.signal.addEventListener('abort', task.onAbort);
+    try {
+      this._send(worker, task.message);
+    } catch (err) { // e.g. payload that can't be cloned
+      this._taskEnded(worker);
+      task.reject(err);
+    }
+  }
+
+  /**
+   * makes a worker available for next tasks, or terminates it if it can't be reused.
+   * @private
+   * @param {Worker} worker
+   */
+  _taskEnded(worker) {
+    const { task } = worker;
+    task.signal.removeEventListener('abort', task.onAbort);
+    worker.task = null;
+    this._setBusy(worker, false);
+    if (this._canReuse(worker)) {
+      this.idleWorkers.push(worker);
+    } else {
+      this.workers.delete(worker); // so that _onExit() ignores it
+      this._terminate(worker);
+    }
+    this._runTasks();
+  }
+
+  /**
+   * @private
+   * @param {Worker} worker
+   * @param {Object} message - `{ type, ... }`, as sent by runModule()
+   */
+  _onMessage(worker, message) {
+    const { task } = worker;
+    if (!task) return;
+    if (message.type === 'progress') {
+      task.progress(message.progress, message.details);
+    } else {
+      this._taskEnded(worker);
+      if (message.type === 'done') {
+        task.resolve(message.result);
+      } else {
+        task.reject(deserializeError(message.error));
+      }
+    }
+  }
+
+  /**
+   * forgets a worker that crashed or was terminated, and fails its task, if any.
+   * @private
+   * @param {Worker} worker
+   * @param {Error} error
+   */
+  _onExit(worker, error) {
+    if (!this.workers.delete(worker)) return; // `exit` is also emitted after `error`
+    this.log.trace('WorkerPool:_onExit() ', error.message);
+    this.idleWorkers = this.idleWorkers.filter(idleWorker => idleWorker !== worker);
+    const { task } = worker;
+    worker.task = null;
+    if (task) {
+      task.signal.removeEventListener('abort', task.onAbort);
+      task.reject(task.signal.aborted ? task.signal.reason : error);
+    }
+    this._runTasks();
+  }
+
+  /**
+   * Terminates all workers. Their tasks, and the tasks that were waiting for a worker, fail.
+   * @returns {Promise} A promise that resolves when all workers have exited.
+   */
+  close() {
+    this.log.trace('WorkerPool:close()');
+    this.waitingTasks.splice(0).forEach(task => task.reject(new Error('the pool of workers was closed')));
+    return Promise.all(Array.from(this.workers).map(worker => this._terminate(worker))).then(() => {});
+  }
+
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,7 @@
+/**
+ * Entry point of the child processes of ProcessPool: runs the jobs that the parent process sends.
+ */
+
+const runModule = require('./runModule');
+
+process.on('message', task => runModule(task, message => process.send(message)));
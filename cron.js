@@ -0,0 +1,131 @@
+/**
+ * Minimal parser of cron expressions, used by Qyu to schedule recurring jobs.
+ *
+ * Supports the 5 standard fields (minute, hour, day of month, month, day of week), with
+ * `*`, single values, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists (`1,15,30`).
+ * Dates are computed in local time. Day of week can be 0 or 7 for Sunday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const MAX_YEARS_AHEAD = 5; // give up if no date matches within this period, e.g. for `0 0 30 2 *`
+
+/**
+ * @param {string} part - one item of a comma-separated field, e.g. `*`, `5`, `1-5`, `*\/15`
+ * @param {Object} field - bounds of the field, from FIELDS
+ * @returns array of values matching this part.
+ */
+function parsePart(part, field) {
+  const [ range, stepStr ] = part.split('/');
+  const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+  let [ from, to ] = range === '*' ? [ field.min, field.max ] : range.split('-').map(n => parseInt(n, 10));
+  if (to === undefined) {
+    to = stepStr === undefined ? from : field.max;
+  }
+  if ([ from, to, step ].some(isNaN) || from < field.min || to > field.max || from > to || step < 1) {
+    throw new Error(`invalid cron ${field.name}: ${part}`);
+  }
+  const values = [];
+  for (let value = from; value <= to; value += step) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * @param {string} str - a field of a cron expression
+ * @param {Object} field - bounds of the field, from FIELDS
+ * @returns {Set} values matching this field.
+ */
+function parseField(str, field) {
+  const values = new Set();
+  str.split(',').forEach(part => parsePart(part, field).forEach(value => values.add(value)));
+  return values;
+}
+
+/**
+ * A parsed cron expression.
+ */
+class CronExpression {
+
+  /**
+   * @param {string} expression - e.g. `*\/5 * * * *` (every 5 minutes)
+   */
+  constructor(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`invalid cron expression: ${expression}`);
+    }
+    this.expression = expression;
+    FIELDS.forEach((field, i) => {
+      this[field.name] = parseField(parts[i], field);
+    });
+    if (this.dayOfWeek.has(7)) {
+      this.dayOfWeek.add(0);
+    }
+    // as in standard cron: if both days are restricted, a date must match one of them
+    this.anyDayOfMonth = parts[2] === '*';
+    this.anyDayOfWeek = parts[4] === '*';
+  }
+
+  /**
+   * @private
+   * @returns true if the day of `date` matches the expression.
+   */
+  _matchesDay(date) {
+    const dom = this.dayOfMonth.has(date.getDate());
+    const dow = this.dayOfWeek.has(date.getDay());
+    if (this.anyDayOfMonth || this.anyDayOfWeek) {
+      return dom && dow;
+    } else {
+      return dom || dow;
+    }
+  }
+
+  /**
+   * @param {Date|number} from - date after which to search
+   * @returns {Date} the first date after `from` that matches the expression, or null.
+   */
+  next(from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date).setFullYear(date.getFullYear() + MAX_YEARS_AHEAD);
+    while (date <= limit) {
+      if (!this.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this._matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+
+}
+
+/**
+ * @param {string} expression - cron expression, e.g. `0 3 * * 1-5`
+ * @returns {CronExpression}
+ */
+function parseCron(expression) {
+  return new CronExpression(expression);
+}
+
+module.exports = {
+  CronExpression,
+  parseCron,
+};
@@ -0,0 +1,122 @@
+/**
+ * Error passed to a job's `error` event when it did not end within its `timeout`.
+ * Its AbortSignal is aborted with this error as reason.
+ */
+class TimeoutError extends Error {
+
+  /**
+   * @param {number} timeout - duration after which the job was considered hung, in ms
+   */
+  constructor(timeout) {
+    super(`job did not end within ${timeout} ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+
+}
+
+/**
+ * Reason given to a job's push promise and `cancelled` event when it was cancelled.
+ * A running job's AbortSignal is aborted with this error as reason.
+ */
+class CancelError extends Error {
+
+  /**
+   * @param {number|string} jobId - identifier of the job that was cancelled
+   */
+  constructor(jobId) {
+    super(`job ${jobId} was cancelled`);
+    this.name = 'CancelError';
+    this.jobId = jobId;
+  }
+
+}
+
+/**
+ * Error passed to a job's `error` event when one of the jobs it depends on failed.
+ */
+class DependencyError extends Error {
+
+  /**
+   * @param {number|string} dependencyId - identifier of the job that failed
+   * @param {*} cause - error throwed by the job that failed
+   */
+  constructor(dependencyId, cause) {
+    super(`dependency ${dependencyId} failed`);
+    this.name = 'DependencyError';
+    this.dependencyId = dependencyId;
+    this.cause = cause;
+  }
+
+}
+
+/**
+ * Error throwed by `push()` when the queue is full and its `overflow` policy is `reject`. Also given as
+ * reason to the push promise and `cancelled` event of a job that was dropped to make room for another.
+ */
+class QueueFullError extends Error {
+
+  /**
+   * @param {number} maxQueueSize - maximum number of jobs waiting in the queue
+   */
+  constructor(maxQueueSize) {
+    super(`queue is full (maxQueueSize: ${maxQueueSize})`);
+    this.name = 'QueueFullError';
+    this.maxQueueSize = maxQueueSize;
+  }
+
+}
+
+/**
+ * Error passed to a job's `error` event when the child process that was running it exited,
+ * e.g. because it crashed, ran out of memory, or exceeded its wall-clock limit.
+ */
+class ProcessExitError extends Error {
+
+  /**
+   * @param {number} exitCode - exit code of the process, or null if it was killed by a signal
+   * @param {string} signal - signal that killed the process, or null
+   * @param {string} stderr - last characters written by the process on its standard error
+   * @param {string} reason - why the process exited, if known (optional)
+   */
+  constructor(exitCode, signal, stderr, reason) {
+    super(reason || `process exited with ${exitCode === null ? 'signal ' + signal : 'code ' + exitCode}`);
+    this.name = 'ProcessExitError';
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stderr = stderr;
+  }
+
+}
+
+/**
+ * @param {*} error - error throwed by a job that runs in another thread or process
+ * @returns {Object} a plain object that can be sent to the main thread: `{ name, message, stack, ... }`
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { value: error };
+  }
+  return Object.assign({ name: error.name, message: error.message, stack: error.stack }, error);
+}
+
+/**
+ * @param {Object} serialized - as returned by serializeError()
+ * @returns {Error} an error with the same properties as the one that was serialized
+ */
+function deserializeError(serialized) {
+  if ('value' in serialized) {
+    return serialized.value;
+  }
+  return Object.assign(new Error(serialized.message), serialized);
+}
+
+module.exports = {
+  TimeoutError,
+  CancelError,
+  DependencyError,
+  QueueFullError,
+  ProcessExitError,
+  serializeError,
+  deserializeError,
+};
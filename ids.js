@@ -0,0 +1,86 @@
+/**
+ * Generators of job ids, used by each Qyu instance to identify its jobs.
+ *
+ * A generator is a function that returns a new id (a number or a string) every time it is called.
+ * Built-in generators are created per queue, so that each queue has its own sequence of ids.
+ */
+
+const crypto = require('crypto');
+
+const ULID_ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford's base32
+const ULID_TIME_LENGTH = 10;      // number of characters that encode the timestamp (48 bits)
+const ULID_RANDOM_LENGTH = 16;    // number of characters that encode the random part (80 bits)
+
+/**
+ * Default generator: 0, 1, 2...
+ * @returns {Function} a generator of numeric ids.
+ */
+function counter() {
+  let nextId = 0;
+  return () => nextId++;
+}
+
+/**
+ * @returns {Function} a generator of random UUIDs (v4), e.g. `'1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed'`.
+ */
+function uuid() {
+  return () => crypto.randomUUID();
+}
+
+/**
+ * ULIDs are sorted by creation time, even within a millisecond: the random part of the previous id is
+ * then incremented, as specified by https://github.com/ulid/spec (monotonic factory).
+ * @returns {Function} a generator of ULIDs, e.g. `'01ARZ3NDEKTSV4RRFFQ69G5FAV'`.
+ */
+function ulid() {
+  let lastTime = -1;
+  let random = [];                // digits of the random part of the last id
+  return () => {
+    const now = Math.max(Date.now(), lastTime); // in case the clock goes backwards
+    if (now === lastTime) {
+      let i = ULID_RANDOM_LENGTH - 1;
+      while (i >= 0 && random[i] === ULID_ENCODING.length - 1) {
+        random[i--] = 0;
+      }
+      if (i < 0) {
+        throw new Error('ulid overflow: too many ids generated within a millisecond');
+      }
+      ++random[i];
+    } else {
+      random = Array.from(crypto.randomBytes(ULID_RANDOM_LENGTH), byte => byte % ULID_ENCODING.length);
+      lastTime = now;
+    }
+    let time = '';
+    for (let i = 0, t = now; i < ULID_TIME_LENGTH; ++i, t = Math.floor(t / ULID_ENCODING.length)) {
+      time = ULID_ENCODING[t % ULID_ENCODING.length] + time;
+    }
+    return time + random.map(digit => ULID_ENCODING[digit]).join('');
+  };
+}
+
+const GENERATORS = {
+  counter,
+  uuid,
+  ulid,
+};
+
+/**
+ * @param {string|Function} generator - name of a built-in generator, or custom generator function
+ * @returns {Function} a generator of ids.
+ */
+function createIdGenerator(generator) {
+  if (typeof generator === 'function') {
+    return generator;
+  } else if (GENERATORS[generator]) {
+    return GENERATORS[generator]();
+  } else {
+    throw new Error(`unknown id generator: ${generator}`);
+  }
+}
+
+module.exports = {
+  counter,
+  uuid,
+  ulid,
+  createIdGenerator,
+};
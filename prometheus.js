@@ -0,0 +1,153 @@
+/**
+ * Optional exporter of the metrics of Qyu instances, in Prometheus' text exposition format.
+ *
+ * e.g. `http.createServer(exporter.handler()).listen(9100)` serves the metrics of all the queues
+ * that were passed to `exporter.register()`, with their name as `queue` label.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_EXPORTER_OPTIONS = {
+  prefix: 'qyu_',         // prepended to the name of every metric
+  buckets: [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ], // upper bounds of job durations, in seconds
+};
+
+// counters, from the `totals` of Qyu's stats
+const COUNTERS = [
+  { name: 'jobs_pushed_total', total: 'pushed', help: 'Number of jobs pushed to the queue.' },
+  { name: 'jobs_started_total', total: 'started', help: 'Number of jobs started, including retries.' },
+  { name: 'jobs_done_total', total: 'done', help: 'Number of jobs that succeeded.' },
+  { name: 'jobs_failed_total', total: 'failed', help: 'Number of jobs that failed, after their last attempt.' },
+  { name: 'jobs_cancelled_total', total: 'cancelled', help: 'Number of jobs that were cancelled.' },
+  { name: 'jobs_retried_total', total: 'retried', help: 'Number of failed attempts that were retried.' },
+];
+
+// states of jobs that are counted by the queue depth gauge
+const QUEUED_STATES = [ 'pending', 'scheduled', 'blocked', 'waiting' ];
+
+/**
+ * @param {string} value
+ * @returns the value, escaped to be used as a label value
+ */
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * @param {Object} labels - e.g. `{ queue: 'crawl' }`
+ * @returns labels in Prometheus' syntax, e.g. `{queue="crawl"}`
+ */
+const formatLabels = labels =>
+  '{' + Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}';
+
+/**
+ * @param {number} value
+ * @returns the value in Prometheus' syntax
+ */
+const formatValue = value => value === Infinity ? '+Inf' : String(value);
+
+/**
+ * Collects metrics from Qyu instances, and renders them in Prometheus' text exposition format.
+ */
+class PrometheusExporter {
+
+  /**
+   * Instantiate a PrometheusExporter.
+   * @param {Object} opts
+   * @param {string} opts.prefix - prepended to the name of every metric (default: `qyu_`)
+   * @param {number[]} opts.buckets - upper bounds of the job duration histogram, in seconds
+   */
+  constructor(opts) {
+    this.opts = Object.assign({}, DEFAULT_EXPORTER_OPTIONS, opts);
+    this.buckets = this.opts.buckets.slice().sort((a, b) => a - b).concat([ Infinity ]);
+    this.queues = new Map();  // registered queues, by name: { q, histogram, onJobRan }
+  }
+
+  /**
+   * Exports the metrics of a queue.
+   * @param {string} name - name of the queue, used as value of the `queue` label
+   * @param {Qyu} q - the queue
+   */
+  register(name, q) {
+    if (this.queues.has(name)) {
+      throw new Error(`a queue is already registered as ${name}`);
+    }
+    const histogram = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    const onJobRan = ({ runTime }) => {
+      const seconds = runTime / 1000;
+      this.buckets.forEach((bucket, i) => {
+        if (seconds <= bucket) ++histogram.counts[i];
+      });
+      histogram.sum += seconds;
+      ++histogram.count;
+    };
+    q.metrics.on('jobRan', onJobRan);
+    this.queues.set(name, { q, histogram, onJobRan });
+  }
+
+  /**
+   * Stops exporting the metrics of a queue.
+   * @param {string} name - name that was passed to `register()`
+   * @returns {boolean} true if the queue was registered.
+   */
+  unregister(name) {
+    const queue = this.queues.get(name);
+    if (!queue) return false;
+    queue.q.metrics.removeListener('jobRan', queue.onJobRan);
+    this.queues.delete(name);
+    return true;
+  }
+
+  /**
+   * @returns {string} the metrics of all registered queues, in Prometheus' text exposition format.
+   */
+  getMetrics() {
+    const { prefix } = this.opts;
+    const queues = Array.from(this.queues.entries()).map(([ name, queue ]) =>
+      Object.assign({ name, stats: queue.q.getStats() }, queue));
+    const lines = [];
+    const header = (name, type, help) => lines.push(`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} ${type}`);
+    const sample = (name, labels, value) => lines.push(`${prefix}${name}${formatLabels(labels)} ${formatValue(value)}`);
+    COUNTERS.forEach(counter => {
+      header(counter.name, 'counter', counter.help);
+      queues.forEach(({ name, stats }) => sample(counter.name, { queue: name }, stats.totals[counter.total]));
+    });
+    header('queue_depth', 'gauge', 'Number of jobs waiting to run, by state.');
+    queues.forEach(({ name, stats }) => QUEUED_STATES.forEach(state =>
+      sample('queue_depth', { queue: name, state }, stats[state])));
+    header('jobs_running', 'gauge', 'Number of jobs that are currently running.');
+    queues.forEach(({ name, stats }) => sample('jobs_running', { queue: name }, stats.running));
+    header('job_duration_seconds', 'histogram', 'Duration of jobs, including failed attempts.');
+    queues.forEach(({ name, histogram }) => {
+      this.buckets.forEach((bucket, i) =>
+        sample('job_duration_seconds_bucket', { queue: name, le: formatValue(bucket) }, histogram.counts[i]));
+      sample('job_duration_seconds_sum', { queue: name }, histogram.sum);
+      sample('job_duration_seconds_count', { queue: name }, histogram.count);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @returns {Function} a request listener for Node's `http.createServer()`, that serves the metrics.
+   */
+  handler() {
+    return (req, res) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD' });
+        res.end();
+        return;
+      }
+      let body;
+      try {
+        body = this.getMetrics();
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(err.message);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    };
+  }
+
+}
+
+module.exports = PrometheusExporter;
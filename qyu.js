@@ -1,16 +1,82 @@
 const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
 const RateLimiter = require('./RateLimiter');
+const Metrics = require('./Metrics');
+const PendingJobs = require('./PendingJobs');
+const WorkerPool = require('./WorkerPool');
+const ProcessPool = require('./ProcessPool');
+const { parseCron } = require('./cron');
+const rateStrategies = require('./rateStrategies');
+const idGenerators = require('./ids');
+const { TimeoutError, CancelError, DependencyError, QueueFullError, ProcessExitError } = require('./errors');
 
 const LOWEST_PRIO = 10;
 
 const DEFAULT_QUEUE_OPTIONS = {
   log: { trace: () => {}, debug: () => {} }, // can be replaced by instance of simple-node-logger
-  rateLimit: null,        // falsy => process in series. otherwise: max number of jobs to run within 1 second
+  rateLimit: null,        // falsy => process in series. otherwise: max number of jobs to run within 1 second, or { limit, intervalMs } window(s)
+  concurrency: null,      // falsy => 1 if rateLimit is falsy, unlimited otherwise. else: max number of running jobs
+  rateStrategy: 'endWindow', // how rateLimit is applied: see rateStrategies.js, or pass a custom strategy object
   statsInterval: 500,    // emit `stats` every second
+  timeout: null,          // falsy => jobs can run forever. otherwise: max duration of each job, in ms
+  retry: null,            // falsy => failed jobs are not retried. otherwise: see DEFAULT_RETRY_OPTIONS
+  historySize: 1000,      // number of finished jobs whose outcome is kept, e.g. for jobs that depend on them
+  progressInterval: 100,  // minimum delay between two `progress` events of a job, in ms
+  metricsWindow: 60000,   // duration of the rolling window of percentiles and rates provided by `stats`, in ms
+  deadLetterSize: 1000,   // number of failed jobs that are kept in the dead-letter store, 0 to disable it
+  keyLimits: null,        // falsy => `key` of jobs is ignored. otherwise: { rateLimit, concurrency, ... } of each key, or function(key)
+  parentLimiter: null,    // RateLimiter whose limits are shared with other queues, e.g. by QueueManager (optional)
+  executor: 'worker',     // how { module, payload } jobs are run: see EXECUTORS
+  executorOptions: null,  // options of executors, e.g. { maxMemoryMb, wallClockLimit, maxJobsPerProcess } for `process`
+  maxQueueSize: null,     // falsy => unbounded. otherwise: max number of pending, scheduled and blocked jobs
+  overflow: 'reject',     // what push() does when the queue is full: see OVERFLOW_POLICIES
+  maxWaiting: null,       // falsy => same as maxQueueSize. otherwise: max number of waiting jobs, with the `wait` overflow policy
+  batch: null,            // falsy => push() takes jobs. otherwise: push() takes payloads, see DEFAULT_BATCH_OPTIONS
+  dedupePolicy: 'keepFirst', // what push() does with a job whose `dedupeKey` matches an active job: see DEDUPE_POLICIES
+  dedupeTtl: 0,           // number of ms during which a finished job keeps its `dedupeKey`
+  idGenerator: 'counter', // how ids of jobs are generated: see ids.js, or pass a function that returns a new id
+};
+
+// what push() can do with a job whose `dedupeKey` matches the one of an active job
+const DEDUPE_POLICIES = [
+  'keepFirst',            // returns the promise of the active job
+  'raisePriority',        // same, and gives the active job the priority of the new one, if higher (unless it is running)
+];
+
+// what push() can do when the queue is full
+const OVERFLOW_POLICIES = [
+  'reject',               // throws a QueueFullError
+  'dropLowest',           // cancels the pending job with the lowest priority, unless the new job's is lower
+  'wait',                 // keeps the job aside, until there is room in the queue
+];
+
+// pools that run jobs given as { module, payload }, instead of functions
+const EXECUTORS = {
+  worker: WorkerPool,     // in worker threads
+  process: ProcessPool,   // in child processes, with optional resource limits
+};
+
+const DEFAULT_RETRY_OPTIONS = {
+  attempts: 3,            // max number of times a job is run, including its first attempt
+  delay: 100,             // delay before the first retry, in ms
+  factor: 2,              // the delay is multiplied by this factor after each attempt
+  maxDelay: 30000,        // upper bound of the delay between two attempts, in ms
+  jitter: 0.5,            // from 0 to 1: part of each delay that is randomized
+  shouldRetry: (error, attempt) => true, // return false to fail without retrying
+};
+
+const DEFAULT_BATCH_OPTIONS = {
+  handler: null,          // function(payloads, context) that returns a promise of an array of results, one per payload
+  maxBatchSize: 100,      // a batch is run as soon as it has this number of payloads
+  maxWaitMs: 100,         // ...or this number of ms after its first payload was pushed
+  countItems: false,      // false => a batch counts as one job against limits. true => it counts as one job per payload
 };
 
 const DEFAULT_JOB_OPTIONS = {
   priority: LOWEST_PRIO,  // low job priority by default, when calling push()
+  dependsOn: [],          // ids of jobs that must succeed before this job can run
 };
 
 // useful to get stack traces from UnhandledPromiseRejectionWarning errors
@@ -18,12 +84,31 @@ if (process.env.CATCH_UNHANDLED_REJECTIONS) {
   process.on('unhandledRejection', r => console.error(r));
 }
 
-var nextJobId = 0; // global job counter, used to generate unique ids
+const MAX_TIMER_DELAY = 0x7FFFFFFF; // setTimeout() fires immediately after longer delays, in ms
+
+// jobs with highest priority come first, then jobs that were pushed first
+const compareJobs = (a, b) => (a.opts.priority - b.opts.priority) || (a.seq - b.seq);
+
+/**
+ * @param {Object} retry - retry options, as in DEFAULT_RETRY_OPTIONS
+ * @param {number} attempt - number of attempts that were made so far
+ * @returns the number of milliseconds to wait before the next attempt.
+ */
+function computeRetryDelay(retry, attempt) {
+  const delay = Math.min(retry.maxDelay, retry.delay * Math.pow(retry.factor, attempt - 1));
+  return Math.round(delay * (1 - retry.jitter * Math.random()));
+}
 
 /**
  * Holds, controls and reports on execution of a queue of asynchronous jobs.
  * @fires done
  * @fires error
+ * @fires retry
+ * @fires cancelled
+ * @fires progress
+ * @fires deadLetter
+ * @fires full
+ * @fires available
  * @fires drain
  * @fires stats
  */
@@ -32,49 +117,157 @@ class Qyu extends EventEmitter {
   /**
    * Instanciates a job queue.
    * @param {Object} opts
-   * @param {number} opts.rateLimit - Maximum number of jobs to be run per second. If `null`, jobs will be run sequentially.
+   * @param {number|Object|Object[]} opts.rateLimit - Maximum number of jobs to be run per second, or `{ limit, intervalMs }` window(s) that must all be satisfied. If `null`, jobs will be run sequentially.
+   * @param {number} opts.concurrency - Maximum number of jobs running at the same time. (default: 1 if `rateLimit` is `null`, no limit otherwise)
+   * @param {string|Object} opts.rateStrategy - `endWindow` (default), `slidingWindow`, `fixedWindow`, `tokenBucket`, or custom strategy object
+   * @param {number} opts.burst - maximum number of jobs that can be started at once by the `tokenBucket` strategy (default: `limit` of each window)
    * @param {number} opts.statsInterval - interval for emitting `stats`, in ms
    * @param {SimpleNodeLogger} opts.log - instance of simple-node-logger (optional)
    * @param {boolean} opts.rejectErrorsOnPush - if true, push()'s premise will reject in case of job error
+   * @param {number} opts.timeout - default maximum duration of each job, in ms (optional)
+   * @param {Object} opts.retry - default retry policy of failed jobs, as in DEFAULT_RETRY_OPTIONS (optional)
+   * @param {number} opts.historySize - number of finished jobs whose outcome is kept (default: 1000)
+   * @param {number} opts.progressInterval - minimum delay between two `progress` events of a job, in ms (default: 100)
+   * @param {number} opts.metricsWindow - duration of the rolling window of percentiles and rates provided by `stats`, in ms (default: 60000)
+   * @param {number} opts.deadLetterSize - number of failed jobs that are kept in the dead-letter store, 0 to disable it (default: 1000)
+   * @param {Object|Function} opts.keyLimits - `{ rateLimit, concurrency, rateStrategy, burst }` limits that apply to jobs of each `key`,
+   * in addition to the queue's limits, or a function that returns them for a given key, or null for no limits (optional)
+   * @param {RateLimiter} opts.parentLimiter - limiter shared with other queues, whose limits apply in addition to this queue's (optional)
+   * @param {string} opts.executor - how jobs given as `{ module, payload }` are run: `worker` (default), in worker threads,
+   * or `process`, in child processes
+   * @param {Object} opts.executorOptions - options of executors, e.g. `{ maxMemoryMb, wallClockLimit, maxJobsPerProcess, stderrTailSize }`
+   * for `process` (see ProcessPool)
+   * @param {number} opts.maxQueueSize - maximum number of pending, scheduled and blocked jobs (default: unbounded)
+   * @param {string} opts.overflow - what `push()` does when the queue is full: `reject` (default), `dropLowest` or `wait`
+   * @param {number} opts.maxWaiting - maximum number of jobs waiting for room in the queue, with the `wait` overflow policy,
+   * beyond which `push()` throws (default: `maxQueueSize`, `Infinity` for no limit)
+   * @param {Object} opts.batch - `{ handler, maxBatchSize, maxWaitMs, countItems }`: if set, `push()` takes payloads, which
+   * are grouped in batches, and each batch is processed by one call to `handler` (see DEFAULT_BATCH_OPTIONS)
+   * @param {string} opts.dedupePolicy - what `push()` does with a job whose `dedupeKey` matches an active job:
+   * `keepFirst` (default) or `raisePriority`
+   * @param {number} opts.dedupeTtl - number of ms during which a finished job keeps its `dedupeKey` (default: 0)
+   * @param {string|Function} opts.idGenerator - `counter` (default), `uuid`, `ulid`, or function that returns a new job id
    */
   constructor(opts) {
     super(opts);
     this.opts = Object.assign({}, DEFAULT_QUEUE_OPTIONS, opts);
+    this.opts.batch = this.opts.batch && Object.assign({}, DEFAULT_BATCH_OPTIONS, this.opts.batch);
+    this.opts.maxWaiting = this.opts.maxWaiting || this.opts.maxQueueSize;
     this.log = this.opts.log;
     this.log.trace('Qyu:constructor() ', opts);
-    this.jobs = [];           // unsorted array of { job, opts } objects
+    if (!OVERFLOW_POLICIES.includes(this.opts.overflow)) {
+      throw new Error(`unknown overflow policy: ${this.opts.overflow}`);
+    } else if (!DEDUPE_POLICIES.includes(this.opts.dedupePolicy)) {
+      throw new Error(`unknown dedupe policy: ${this.opts.dedupePolicy}`);
+    } else if (this.opts.batch && typeof this.opts.batch.handler !== 'function') {
+      throw new Error('batch.handler must be a function');
+    } else if (this.opts.keyLimits && typeof this.opts.keyLimits.rateStrategy === 'object' && this.opts.keyLimits.rateStrategy) {
+      // its state would be shared by all keys. a function can give a new strategy object for each key
+      throw new Error('keyLimits.rateStrategy can\'t be a custom strategy object: make keyLimits a function instead');
+    }
+    // pending { job, opts } objects, by priority, grouped by key if `keyLimits` is set
+    this.jobs = new PendingJobs(compareJobs, job => this.opts.keyLimits ? job.opts.key : undefined);
+    this.nextSeq = 0;         // incremented for each pushed job, to keep FIFO order within a priority
+    this.scheduledJobs = new Set(); // delayed jobs, and failed jobs waiting before their next attempt
+    this.blockedJobs = new Set();  // jobs waiting for the jobs they depend on to succeed
+    this.dependents = new Map();   // id of job => array of blocked jobs that depend on it
+    this.activeJobs = new Map();   // pending, scheduled, blocked, waiting and running jobs, by id
+    this.finishedJobs = new Map(); // outcome of the last `historySize` finished jobs, by id
+    this.deadLetters = new Map();  // the last `deadLetterSize` failed jobs, by id
+    this.schedules = new Map();    // recurring jobs, by name
+    this.keyLimiters = new Map();  // RateLimiter of each key of pending and running jobs (null if it has no limits), if `keyLimits` is set
+    this.executors = new Map();    // pools that run { module, payload } jobs, by name, created when needed
+    this.waitingJobs = [];    // jobs pushed while the queue was full, with the `wait` overflow policy
+    this.full = false;        // turns to `true` when the queue reaches `maxQueueSize`
+    this.slowConsumers = new Set(); // result streams whose buffer is full, which hold job starts
+    this.batches = new Map();      // payloads waiting to be run as a batch, by priority, if `batch` is set
+    this.dedupeKeys = new Map();   // active jobs, and jobs that finished less than `dedupeTtl` ms ago, by `dedupeKey`
+    this.generateId = idGenerators.createIdGenerator(this.opts.idGenerator); // returns a new job id
     this.started = false;     // turns to `true` when client called `start()`
+    this.closing = null;      // promise returned by `close()`, once it was called
+    this.metrics = new Metrics(this.opts);
     this.rateLimiter = new RateLimiter(this.opts);
-    this.rateLimiter.on('stats', (stats) => {
+    this._checkBatchSize();
+    this.rateLimiter.on('stats', (rateLimiterStats) => {
+      this._pruneKeyLimiters();
+      const stats = Object.assign(rateLimiterStats, this._jobStats());
       this.log.trace('Qyu ⚡️ stats ', stats);
       /**
-       * Fired every `opts.statsInterval` milliseconds, to tell how many jobs are processed per second.
+       * Fired every `opts.statsInterval` milliseconds, to tell how many jobs are processed per second,
+       * and how long they wait and run. (see `getStats()`)
        * @event stats
        * @memberof Qyu
        * @type {object}
        * @property {number} nbJobsPerSecond - number of jobs that are processed per second
+       * @property {number} running - number of jobs that are currently running
+       * @property {number} concurrency - maximum number of jobs running at the same time
+       * @property {number|Object|Object[]} rateLimit - maximum number of jobs to be run per second, or window(s), or `null`
+       * @property {Object[]} rateWindows - `{ limit, intervalMs, usage }` for each rate limiting window
+       * @property {number} pending - number of jobs waiting for their turn to run
+       * @property {number} scheduled - number of delayed jobs, and of failed jobs waiting for their next attempt
+       * @property {number} blocked - number of jobs waiting for their dependencies
+       * @property {number} waiting - number of jobs waiting for room in the queue (`wait` overflow policy)
+       * @property {number} done - number of jobs that succeeded during the last `metricsWindow` ms
+       * @property {number} failed - number of jobs that failed during the last `metricsWindow` ms
+       * @property {number} successRate - ratio of `done` jobs, from 0 to 1, or `null` if no jobs finished
+       * @property {number} errorRate - ratio of `failed` jobs, from 0 to 1, or `null` if no jobs finished
+       * @property {Object} waitTime - `{ p50, p95, p99 }` percentiles of the time jobs waited before running, in ms
+       * @property {Object} runTime - `{ p50, p95, p99 }` percentiles of the time jobs ran, in ms
+       * @property {Object} byPriority - the properties above, for each priority
+       * @property {Object} totals - number of jobs `pushed`, `started`, `done`, `failed`, `cancelled` and `retried` since instantiation
+       * @property {number} metricsWindow - duration of the rolling window, in ms
+       * @property {Object} byKey - `{ running, concurrency, rateWindows }` for each key that has limits
        */
       this.emit('stats', stats);
       this._processJobs(); // will run a job if possible
     });
+    if (this.opts.parentLimiter) {
+      // a job of another queue may have freed a slot. deferred, in case the job belongs to this queue
+      this.onParentJobEnded = () => process.nextTick(() => this._processJobs());
+      this.opts.parentLimiter.on('jobEnded', this.onParentJobEnded);
+    }
+  }
+
+  /**
+   * @private
+   * @throws if a batch could never run, because limits don't allow all its payloads to run at once (`countItems`).
+   */
+  _checkBatchSize() {
+    const { batch, parentLimiter } = this.opts;
+    if (!batch || !batch.countItems) return;
+    const capacity = Math.min(this.rateLimiter.getCapacity(), parentLimiter ? parentLimiter.getCapacity() : Infinity);
+    if (batch.maxBatchSize > capacity) {
+      throw new Error(`batch.maxBatchSize must not exceed ${capacity} with countItems, as limits don't allow more jobs at once`);
+    }
+  }
+
+  /**
+   * @private
+   * @throws if `close()` was called.
+   */
+  _checkOpen() {
+    if (this.closing) {
+      throw new Error('queue is closed');
+    }
   }
 
   /**
    * emit an `error` event
    * @private
    * @param {Object} err
-   * @param {number} err.jobId - identifier of the job that throwed the error
+   * @param {number|string} err.jobId - identifier of the job that throwed the error
    * @param {Error} err.error - error object throwed by the job
    */
   _error({jobId, error}) {
     this.log.trace('Qyu ⚡️ error ', {jobId, error});
     /**
-     * Fired every time a job fails by throwing an error.
+     * Fired every time a job fails by throwing an error, or when a run of a schedule could not be pushed.
      * @event error
      * @memberof Qyu
      * @type {Object}
-     * @property {number} jobId - identifier of the job that throwed the error
-     * @property {Error} error - error object throwed by the job
+     * @property {number|string} jobId - identifier of the job that throwed the error (null for a schedule)
+     * @property {string} schedule - name of the schedule whose run could not be pushed, if any
+     * @property {Error} error - error object throwed by the job, or by `push()`
      */
     this.emit('error', {jobId, error});
   }
@@ -94,7 +287,7 @@ class Qyu extends EventEmitter {
      * @event done
      * @memberof Qyu
      * @type {object}
-     * @property {number} jobId - identifier of the job which execution ended
+     * @property {number|string} jobId - identifier of the job which execution ended
      * @property {*} jobResult - return value of the job function
      * @property {*} res - TBD
      */
@@ -102,27 +295,416 @@ class Qyu extends EventEmitter {
   }
 
   /**
-   * called by _processJob() when a job has ended (with or without error)
+   * emit a `progress` event
    * @private
    * @param {Object} job
-   * @param {number} job.id - id of the job function that ended
-   * @param {boolean} withError - true if the job ended becaused of an error
-   * @param {*} jobResultOrError - return value of the job function that ended, or error
    */
-  _jobEnded(job, withError, jobResultOrError) {
-    this.log.trace('Qyu:_jobEnded() ', Array.prototype.slice.call(arguments));
-    this.rateLimiter.jobEnded();
-    const jobObj = { jobId: job.id };
-    if (withError) {
-      const failObj = Object.assign(jobObj, { error: jobResultOrError });
+  _progress(job) {
+    const progressObj = Object.assign({ jobId: job.id }, job.progress);
+    this.log.trace('Qyu ⚡️ progress ', progressObj);
+    /**
+     * Fired when a running job reports its progress, at most every `opts.progressInterval` milliseconds per job.
+     * @event progress
+     * @memberof Qyu
+     * @type {Object}
+     * @property {number|string} jobId - identifier of the job
+     * @property {*} progress - value passed by the job, e.g. a percentage
+     * @property {*} details - optional details passed by the job
+     */
+    this.emit('progress', progressObj);
+  }
+
+  /**
+   * called when a job reports its progress: emits it, unless a `progress` event was emitted
+   * for this job less than `progressInterval` ms ago. In that case, the latest value will be
+   * emitted at the end of that interval.
+   * @private
+   * @param {Object} job
+   * @param {*} progress
+   * @param {*} details
+   */
+  _reportProgress(job, progress, details) {
+    job.progress = { progress, details };
+    if (job.progressTimer) {
+      job.progressPending = true;
+      return;
+    }
+    job.progressPending = false;
+    this._progress(job);
+    job.progressTimer = setTimeout(() => {
+      job.progressTimer = null;
+      if (job.progressPending) {
+        this._reportProgress(job, job.progress.progress, job.progress.details);
+      }
+    }, this.opts.progressInterval);
+  }
+
+  /**
+   * emits the latest progress of a job that is about to end, if it was not emitted yet.
+   * @private
+   * @param {Object} job
+   */
+  _flushProgress(job) {
+    clearTimeout(job.progressTimer);
+    job.progressTimer = null;
+    if (job.progressPending) {
+      job.progressPending = false;
+      this._progress(job);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} job - job that just failed
+   * @param {*} error - error throwed by the job
+   * @returns true if the job should be run again, according to its retry policy.
+   */
+  _shouldRetry(job, error) {
+    const retry = job.opts.retry;
+    return !!retry && job.attempts < retry.attempts && retry.shouldRetry(error, job.attempts);
+  }
+
+  /**
+   * puts a failed job back in the queue, after the delay given by its retry policy.
+   * @private
+   * @param {Object} job - job that just failed
+   * @param {*} error - error throwed by the job
+   */
+  _retry(job, error) {
+    const delay = computeRetryDelay(job.opts.retry, job.attempts);
+    this.log.trace('Qyu ⚡️ retry ', { jobId: job.id, attempt: job.attempts, delay });
+    this.metrics.jobRetried();
+    this._scheduleJob(job, Date.now() + delay);
+    /**
+     * Fired every time a failed job is going to be run again, according to its retry policy.
+     * @event retry
+     * @memberof Qyu
+     * @type {Object}
+     * @property {number|string} jobId - identifier of the job that failed
+     * @property {Error} error - error object throwed by the job
+     * @property {number} attempt - number of attempts that were made so far
+     * @property {number} delay - number of milliseconds before the next attempt
+     */
+    this.emit('retry', { jobId: job.id, error, attempt: job.attempts, delay });
+  }
+
+  /**
+   * keeps a job aside until the given date, then moves it to the queue of pending jobs.
+   * @private
+   * @param {Object} job
+   * @param {number} runAt - timestamp after which the job can be run, in ms
+   */
+  _scheduleJob(job, runAt) {
+    const delay = runAt - Date.now();
+    job.state = 'scheduled';
+    this.scheduledJobs.add(job);
+    if (delay > MAX_TIMER_DELAY) {
+      job.scheduleTimer = setTimeout(this._scheduleJob.bind(this, job, runAt), MAX_TIMER_DELAY);
+      return;
+    }
+    job.scheduleTimer = setTimeout(() => {
+      if (Date.now() < runAt) {
+        this._scheduleJob(job, runAt); // timers can fire up to 1 ms early
+        return;
+      }
+      job.scheduleTimer = null;
+      this.scheduledJobs.delete(job);
+      this._enqueueJob(job);
+      this._processJobs();
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * adds a job to the queue of pending jobs, or to the scheduled jobs if it was delayed.
+   * @private
+   * @param {Object} job
+   */
+  _enqueueJob(job) {
+    if (job.runAt > Date.now()) {
+      this._scheduleJob(job, job.runAt);
+    } else {
+      job.state = 'pending';
+      job.pendingSince = Date.now();
+      this.jobs.push(job);
+    }
+  }
+
+  /**
+   * removes a job from active jobs, and keeps its outcome in the history of finished jobs.
+   * @private
+   * @param {Object} job
+   * @param {string} state - `done`, `failed` or `cancelled`
+   * @param {Object} outcome - `{ jobResult }`, `{ error }` or `{ reason }`
+   */
+  _jobFinished(job, state, outcome) {
+    job.state = state;
+    job.finishedAt = Date.now();
+    this._releaseDedupeKey(job);
+    this.metrics.jobFinished(job.opts.priority, state);
+    this.activeJobs.delete(job.id);
+    const info = Object.assign(this._jobInfo(job), outcome); // as provided by getJob()
+    this.finishedJobs.set(job.id, Object.assign({ id: job.id, state, dependsOn: job.opts.dependsOn, info }, outcome));
+    if (this.finishedJobs.size > this.opts.historySize) {
+      this.finishedJobs.delete(this.finishedJobs.keys().next().value); // forget the oldest one
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} job
+   * @returns {Object} `{ jobId, state, priority, attempts, dependsOn, pushedAt, runAt, startedAt, finishedAt }`,
+   * where dates are null if they did not happen yet.
+   */
+  _jobInfo(job) {
+    const toDate = timestamp => timestamp ? new Date(timestamp) : null;
+    return {
+      jobId: job.id,
+      state: job.state,
+      priority: job.opts.priority,
+      attempts: job.attempts,
+      dependsOn: job.opts.dependsOn,
+      pushedAt: toDate(job.pushedAt),
+      runAt: toDate(job.runAt),
+      startedAt: toDate(job.startedAt),
+      finishedAt: toDate(job.finishedAt),
+    };
+  }
+
+  /**
+   * forgets the `dedupeKey` of a job that just finished, now or after `dedupeTtl` ms, unless it was cancelled.
+   * @private
+   * @param {Object} job
+   */
+  _releaseDedupeKey(job) {
+    const { dedupeKey } = job.opts;
+    if (dedupeKey === undefined || this.dedupeKeys.get(dedupeKey) !== job) return;
+    const release = () => this.dedupeKeys.get(dedupeKey) === job && this.dedupeKeys.delete(dedupeKey);
+    if (job.state === 'cancelled' || !this.opts.dedupeTtl) {
+      release();
+    } else {
+      job.dedupeTimer = setTimeout(release, this.opts.dedupeTtl);
+      job.dedupeTimer.unref(); // must not prevent the process from exiting
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} opts - options of a job that is being pushed
+   * @returns {Object} the job that has the same `dedupeKey`, if any, after having applied `dedupePolicy` to it.
+   */
+  _findDuplicate(opts) {
+    const job = opts.dedupeKey === undefined ? undefined : this.dedupeKeys.get(opts.dedupeKey);
+    if (!job) return undefined;
+    const priority = opts.priority || DEFAULT_JOB_OPTIONS.priority;
+    this.log.trace('Qyu:_findDuplicate() ', { jobId: job.id, dedupeKey: opts.dedupeKey, state: job.state });
+    const canRaise = [ 'pending', 'scheduled', 'blocked', 'waiting' ].includes(job.state);
+    if (this.opts.dedupePolicy === 'raisePriority' && canRaise && priority < job.opts.priority) {
+      const pending = job.state === 'pending' && this.jobs.remove(job);
+      job.opts.priority = priority;
+      if (pending) {
+        this.jobs.push(job); // at its new place
+      }
+    }
+    return job;
+  }
+
+  /**
+   * reports the success of a job (or the outcome of each payload of a batch), and unblocks the jobs that were only waiting for it.
+   * @private
+   * @param {Object} job
+   * @param {*} jobResult - return value of the job function
+   */
+  _jobSucceeded(job, jobResult) {
+    this._jobFinished(job, 'done', { jobResult });
+    if (job.batchItems) {
+      this._settleItems(job.id, job.batchItems, jobResult);
+    } else {
+      const doneObj = { jobId: job.id, jobResult };
+      this._done(doneObj);
+      job.pushPromise.resolve(doneObj);
+    }
+    this._settleDependents(job, { jobResult });
+  }
+
+  /**
+   * reports the failure of a job (or of each payload of a batch), and fails the jobs that depend on it.
+   * @private
+   * @param {Object} job
+   * @param {*} error - error throwed by the job
+   */
+  _jobFailed(job, error) {
+    this._jobFinished(job, 'failed', { error });
+    job.error = error;
+    job.failedAt = Date.now();
+    if (job.batchItems) {
+      job.batchItems.forEach(item => this._itemFailed(item, job.id, error));
+    } else {
+      const failObj = { jobId: job.id, error };
       this._error(failObj);
+      this._addDeadLetter(job);
       if (this.opts.rejectErrorsOnPush) {
         job.pushPromise.reject(failObj);
       }
+    }
+    this._settleDependents(job, { error });
+  }
+
+  /**
+   * keeps a failed job in the dead-letter store, and emits a `deadLetter` event.
+   * @private
+   * @param {Object} job
+   */
+  _addDeadLetter(job) {
+    if (!this.opts.deadLetterSize) return;
+    this.deadLetters.set(job.id, job);
+    if (this.deadLetters.size > this.opts.deadLetterSize) {
+      this.deadLetters.delete(this.deadLetters.keys().next().value); // forget the oldest one
+    }
+    const deadLetterObj = this._deadLetterInfo(job);
+    this.log.trace('Qyu ⚡️ deadLetter ', { jobId: job.id });
+    /**
+     * Fired every time a failed job is added to the dead-letter store.
+     * @event deadLetter
+     * @memberof Qyu
+     * @type {Object}
+     * @property {number|string} jobId - identifier of the job that failed
+     * @property {Error} error - error that made the job fail, after its last attempt
+     * @property {number} attempts - number of times the job was run
+     * @property {number} priority - priority of the job
+     * @property {Date} pushedAt - when the job was pushed
+     * @property {Date} startedAt - when its last attempt started, or null if it never ran
+     * @property {Date} failedAt - when it failed
+     */
+    this.emit('deadLetter', deadLetterObj);
+  }
+
+  /**
+   * @private
+   * @param {Object} job - a job of the dead-letter store
+   * @returns {Object} `{ jobId, error, attempts, priority, pushedAt, startedAt, failedAt }`
+   */
+  _deadLetterInfo(job) {
+    return {
+      jobId: job.id,
+      error: job.error,
+      attempts: job.attempts,
+      priority: job.opts.priority,
+      pushedAt: new Date(job.pushedAt),
+      startedAt: job.startedAt ? new Date(job.startedAt) : null,
+      failedAt: new Date(job.failedAt),
+    };
+  }
+
+  /**
+   * removes a job from the queue or aborts it, reports its cancellation, and cancels the jobs that depend on it.
+   * @private
+   * @param {Object} job
+   * @param {CancelError|QueueFullError} reason
+   */
+  _jobCancelled(job, reason) {
+    if (job.state === 'running') {
+      job.ended = true;
+      clearTimeout(job.timer);
+      job.timer = null;
+      this._flushProgress(job);
+      this.metrics.jobRan(job.opts.priority, Date.now() - job.startedAt);
+      job.abortController.abort(reason);
+      this._limitersOf(job).forEach(limiter => limiter.jobEnded(job.weight));
+    } else if (job.state === 'pending') {
+      this.jobs.remove(job);
+    } else if (job.state === 'scheduled') {
+      clearTimeout(job.scheduleTimer);
+      job.scheduleTimer = null;
+      this.scheduledJobs.delete(job);
+    } else if (job.state === 'waiting') {
+      this.waitingJobs.splice(this.waitingJobs.indexOf(job), 1);
     } else {
-      const doneObj = Object.assign(jobObj, { jobResult: jobResultOrError });
-      this._done(doneObj);
-      job.pushPromise.resolve(doneObj);
+      this.blockedJobs.delete(job);
+    }
+    this._jobFinished(job, 'cancelled', { reason });
+    if (job.batchItems) {
+      job.batchItems.forEach(item => this._itemCancelled(item, job.id, reason));
+    } else {
+      this._cancelled({ jobId: job.id, reason });
+      if (this.opts.rejectErrorsOnPush) {
+        job.pushPromise.reject({ jobId: job.id, error: reason });
+      } else {
+        job.pushPromise.resolve({ jobId: job.id, cancelled: true, reason });
+      }
+    }
+    this._settleDependents(job, { reason });
+  }
+
+  /**
+   * emit a `cancelled` event
+   * @private
+   * @param {Object} res
+   * @param {number|string} res.jobId - identifier of the job that was cancelled
+   * @param {CancelError|QueueFullError} res.reason - reason of the cancellation
+   */
+  _cancelled({ jobId, reason }) {
+    this.log.trace('Qyu ⚡️ cancelled ', { jobId });
+    /**
+     * Fired every time a job is cancelled, by calling `cancel()`, or because a job it depends on was cancelled,
+     * or because it was dropped from a full queue.
+     * @event cancelled
+     * @memberof Qyu
+     * @type {Object}
+     * @property {number|string} jobId - identifier of the job that was cancelled
+     * @property {CancelError|QueueFullError} reason - reason of the cancellation
+     */
+    this.emit('cancelled', { jobId, reason });
+  }
+
+  /**
+   * called when a job has finished: unblocks, fails or cancels the jobs that depend on it, accordingly.
+   * @private
+   * @param {Object} job - job that has finished
+   * @param {Object} outcome - `{ jobResult }`, `{ error }` or `{ reason }`
+   */
+  _settleDependents(job, outcome) {
+    const dependents = this.dependents.get(job.id) || [];
+    this.dependents.delete(job.id);
+    dependents.filter(dependent => dependent.state === 'blocked').forEach(dependent => {
+      if (job.state === 'done') {
+        dependent.dependencyResults[job.id] = outcome.jobResult;
+        dependent.pendingDependencies.delete(job.id);
+        if (!dependent.pendingDependencies.size) {
+          this.blockedJobs.delete(dependent);
+          this._enqueueJob(dependent);
+        }
+      } else if (job.state === 'failed') {
+        this.blockedJobs.delete(dependent);
+        this._jobFailed(dependent, new DependencyError(job.id, outcome.error));
+      } else {
+        this._jobCancelled(dependent, new CancelError(dependent.id));
+      }
+    });
+  }
+
+  /**
+   * called by _processJob() when a job has ended (with or without error)
+   * @private
+   * @param {Object} job
+   * @param {number|string} job.id - id of the job function that ended
+   * @param {boolean} withError - true if the job ended becaused of an error
+   * @param {*} jobResultOrError - return value of the job function that ended, or error
+   */
+  _jobEnded(job, withError, jobResultOrError) {
+    if (job.ended) return; // e.g. job settled after having timed out
+    job.ended = true;
+    clearTimeout(job.timer);
+    job.timer = null;
+    this._flushProgress(job);
+    this.log.trace('Qyu:_jobEnded() ', [ job.id, withError, jobResultOrError ]);
+    this.metrics.jobRan(job.opts.priority, Date.now() - job.startedAt);
+    this._limitersOf(job).forEach(limiter => limiter.jobEnded(job.weight));
+    if (withError && !this.closing && this._shouldRetry(job, jobResultOrError)) { // no more attempts after close()
+      this._retry(job, jobResultOrError);
+    } else if (withError) {
+      this._jobFailed(job, jobResultOrError);
+    } else {
+      this._jobSucceeded(job, jobResultOrError);
     }
     this._drainIfNoMore();
     this._processJobs();
@@ -133,108 +715,1071 @@ class Qyu extends EventEmitter {
    * @returns true if a job can be processed right now.
    */
   _readyToRunJobs() {
-    return this.started && this.jobs.length && this.rateLimiter.canRunMore();
+    const { parentLimiter } = this.opts;
+    return this.started && this.jobs.length && !this.slowConsumers.size && this.rateLimiter.canRunMore()
+      && (!parentLimiter || parentLimiter.canRunMore());
+  }
+
+  /**
+   * @private
+   * @param {string} key - key of a job
+   * @returns {RateLimiter} the limiter of that key, created with `keyLimits` if necessary, or null if
+   * `keyLimits` gives no limits for that key.
+   */
+  _getKeyLimiter(key) {
+    if (!this.keyLimiters.has(key)) {
+      const { keyLimits } = this.opts;
+      const limits = typeof keyLimits === 'function' ? keyLimits(key) : keyLimits;
+      this.keyLimiters.set(key, limits ? new RateLimiter(Object.assign({ log: this.log }, limits)) : null);
+    }
+    return this.keyLimiters.get(key);
   }
 
   /**
-   * runs the next job, if any, and if allowed by rate limiter.
    * @private
+   * @param {Object} job
+   * @returns {RateLimiter[]} the limiters that apply to a job: the queue's, its key's and the parent's, if any.
+   */
+  _limitersOf(job) {
+    const { key } = job.opts;
+    const limiters = [ this.rateLimiter ];
+    const keyLimiter = this.opts.keyLimits && key !== undefined && this._getKeyLimiter(key);
+    if (keyLimiter) {
+      limiters.push(keyLimiter);
+    }
+    if (this.opts.parentLimiter) {
+      limiters.push(this.opts.parentLimiter);
+    }
+    return limiters;
+  }
+
+  /**
+   * forgets the limiters of keys that have no running jobs, and no recent jobs counted against their limits,
+   * and the keys that have no limits.
+   * @private
+   */
+  _pruneKeyLimiters() {
+    this.keyLimiters.forEach((limiter, key) => {
+      if (!limiter || limiter.isIdle()) {
+        this.keyLimiters.delete(key);
+      }
+    });
+  }
+
+  /**
+   * removes the pending job with highest priority whose key's limits allow to run it now. Jobs with
+   * the same priority are considered in the order they were pushed.
+   * @private
+   * @returns {Object} the job, or undefined if no pending job can run now.
+   */
+  _popRunnableJob() {
+    return this.jobs.pop(key => {
+      const keyLimiter = key !== undefined && this._getKeyLimiter(key);
+      return !keyLimiter || keyLimiter.canRunMore();
+    });
+  }
+
+  /**
+   * runs the next job, if any, and if allowed by rate limiters.
+   * @private
+   * @returns true if a job was started.
    */
   _processJob() {
     const readyToRunJobs = this._readyToRunJobs();
     this.log.trace('Qyu:_processJob() ', {
       started: this.started,
       running: this.rateLimiter.running,
-      remaining: this.jobs.map(j => j.id),
+      remaining: this.jobs.length,
       readyToRunJobs
     });
-    if (readyToRunJobs) {
-      const priority = Math.min.apply(Math, this.jobs.map(job => job.opts.priority));
-      const job = this.jobs.find(job => job.opts.priority === priority);
-      this.jobs = this.jobs.filter(j => j.id !== job.id); // remove job from queue
-      this.log.debug('Qyu starting job ', job);
-      this.rateLimiter.jobStarted();
-      job.job()
-        .then(this._jobEnded.bind(this, job, false))
-        .catch(this._jobEnded.bind(this, job, true));
+    const job = readyToRunJobs && this._popRunnableJob(); // job with highest priority, if its key allows it
+    if (!job) return false;
+    if (job.weight > 1 && !this._limitersOf(job).every(limiter => limiter.canRunMore(job.weight))) {
+      this.jobs.push(job); // e.g. a batch with `countItems`, that waits until limits allow all its payloads to run
+      return false;
     }
+    this.log.debug('Qyu starting job ', job.id);
+    job.state = 'running';
+    job.startedAt = Date.now();
+    this.metrics.jobStarted(job.opts.priority, job.startedAt - job.pendingSince);
+    this._limitersOf(job).forEach(limiter => limiter.jobStarted(job.weight));
+    this._runJob(job);
+    return true;
   }
 
   /**
-   * runs as many jobs as allowed by rate limiter.
+   * calls the job function with its context, and arms its timeout, if any.
    * @private
+   * @param {Object} job
    */
-  _processJobs() {
-    do {
-      this._processJob();
-    } while (this._readyToRunJobs());
+  _runJob(job) {
+    const abortController = new AbortController();
+    job.abortController = abortController;
+    job.ended = false;
+    const attempt = ++job.attempts;
+    // ignores the outcome of a previous attempt that settled after having timed out
+    const onEnd = (withError) => (res) => job.attempts === attempt && this._jobEnded(job, withError, res);
+    if (job.opts.timeout) {
+      job.timer = setTimeout(this._jobTimedOut.bind(this, job), job.opts.timeout);
+    }
+    const context = {
+      jobId: job.id,
+      signal: abortController.signal,
+      dependencies: job.dependencyResults,
+      progress: (progress, details) => {
+        if (job.attempts === attempt && !job.ended) {
+          this._reportProgress(job, progress, details);
+        }
+      },
+    };
+    new Promise(resolve => resolve(this._callJob(job, context)))
+      .then(onEnd(false))
+      .catch(onEnd(true));
   }
 
   /**
-   * emits drain and disables the rate limiter if there are no more jobs to process.
+   * calls the job function, or makes an executor run the job's module.
    * @private
+   * @param {Object} job
+   * @param {Object} context - `{ jobId, signal, dependencies, progress }`
+   * @returns {Promise} A promise of the result of the job
    */
-  _drainIfNoMore() {
-    this.log.trace('Qyu:_drainIfNoMore() ', {
-      started: this.started,
-      running: this.rateLimiter.running,
-      remaining: this.jobs.map(j => j.id)
-    });
-    if (!this.jobs.length && !this.rateLimiter.running) {
-      this.log.trace('Qyu ⚡️ drain');
-      /**
-       * Fired when no more jobs are to be run.
-       * @event drain
-       * @memberof Qyu
-       */
-      this.emit('drain');
-      this.rateLimiter.toggle(false);
+  _callJob(job, context) {
+    if (typeof job.job === 'function') {
+      return job.job(context);
     }
+    const { module, payload } = job.job;
+    const task = { module, payload, jobId: context.jobId, dependencies: context.dependencies };
+    return this._getExecutor(job.opts.executor).run(task, context);
   }
 
   /**
-   * Add a job to this queue, and runs it if queue was started.
-   * @param {Function} job is a function returning a promise to indicate when the job is done
-   * @param {Object} opts
-   * @param {number} opts.priority from 1 to 10, 1 being the highest priority
-   * @returns {Promise} A promise that resolves with {jobId, jobResult}
+   * @private
+   * @param {string} name - name of an executor, from EXECUTORS
+   * @returns the executor, created with a size that matches the concurrency limit, if necessary.
    */
-  push(job, opts) {
-    return new Promise((resolve, reject) => {
-      const id = nextJobId++;
-      this.log.trace(`Qyu:push() id: ${id}, opts:`, opts);
-      this.jobs.push({
-        id,
-        job,
-        opts: Object.assign({}, DEFAULT_JOB_OPTIONS, opts),
-        pushPromise: { resolve, reject }
-      });
-      if (this.started) {
-        this.rateLimiter.toggle(true); // necessary for jobs pushed after drain
-      }
-      this._processJobs(); // useful for when jobs were pushed after Qyu was started
-    });
+  _getExecutor(name) {
+    let executor = this.executors.get(name);
+    if (!executor) {
+      const concurrency = this.rateLimiter.getConcurrency();
+      const size = concurrency === Infinity ? os.cpus().length : concurrency;
+      executor = new EXECUTORS[name](Object.assign({ size, log: this.log }, this.opts.executorOptions));
+      this.executors.set(name, executor);
+    }
+    return executor;
   }
 
   /**
-   * Pause all running jobs of this queue.
-   * @returns {Promise} A promise that resolves when the queue has paused (no jobs being processed)
+   * called when a job did not end within its timeout: aborts it and frees its slot.
+   * @private
+   * @param {Object} job
    */
-  pause() {
-    this.log.trace('Qyu:pause()');
-    this.started = false; // prevent next jobs from being processed
-    return this.rateLimiter.waitForDrain().then(() => {
-      this.rateLimiter.toggle(false);
-    });
+  _jobTimedOut(job) {
+    const error = new TimeoutError(job.opts.timeout);
+    this.log.debug('Qyu job timed out ', { jobId: job.id, timeout: job.opts.timeout });
+    job.abortController.abort(error);
+    this._jobEnded(job, true, error);
   }
 
   /**
-   * Start running jobs of this queue.
-   * @returns {Promise} A promise that resolves when the queue has started (first time) or unpaused
-   */
+   * runs as many jobs as allowed by rate limiter.
+   * @private
+   */
+  _processJobs() {
+    let started;
+    do {
+      started = this._processJob();
+    } while (started && this._readyToRunJobs());
+    if (this._admitWaitingJobs()) {
+      this._processJobs(); // they may be runnable
+      return;
+    }
+    this._updateFull();
+  }
+
+  /**
+   * @private
+   * @returns {number} the number of pending, scheduled and blocked jobs, i.e. that count against `maxQueueSize`.
+   */
+  _queueSize() {
+    return this.jobs.length + this.scheduledJobs.size + this.blockedJobs.size;
+  }
+
+  /**
+   * @private
+   * @returns true if the queue has reached `maxQueueSize`, or if jobs are waiting for room in the queue.
+   */
+  _isFull() {
+    return !!this.opts.maxQueueSize && this._queueSize() + this.waitingJobs.length >= this.opts.maxQueueSize;
+  }
+
+  /**
+   * moves waiting jobs to the queue, in the order they were pushed, as long as there is room.
+   * @private
+   * @returns true if at least one job was moved.
+   */
+  _admitWaitingJobs() {
+    let admitted = false;
+    while (this.waitingJobs.length && this._queueSize() < this.opts.maxQueueSize) {
+      this._addJob(this.waitingJobs.shift());
+      admitted = true;
+    }
+    return admitted;
+  }
+
+  /**
+   * emits `full` or `available` if the queue has just become full, or not full anymore.
+   * @private
+   */
+  _updateFull() {
+    const full = this._isFull();
+    if (full === this.full) return;
+    this.full = full;
+    const event = full ? 'full' : 'available';
+    const eventObj = { size: this._queueSize() + this.waitingJobs.length, maxQueueSize: this.opts.maxQueueSize };
+    this.log.trace(`Qyu ⚡️ ${event} `, eventObj);
+    /**
+     * Fired when the queue reaches `maxQueueSize`, so that producers can stop pushing jobs.
+     * @event full
+     * @memberof Qyu
+     * @type {Object}
+     * @property {number} size - number of pending, scheduled, blocked and waiting jobs
+     * @property {number} maxQueueSize - maximum number of jobs in the queue
+     */
+    /**
+     * Fired when the queue is not full anymore, after a `full` event.
+     * @event available
+     * @memberof Qyu
+     * @type {Object}
+     * @property {number} size - number of pending, scheduled and blocked jobs
+     * @property {number} maxQueueSize - maximum number of jobs in the queue
+     */
+    this.emit(event, eventObj);
+  }
+
+  /**
+   * @returns {Promise} A promise that resolves when there is room in the queue, i.e. immediately
+   * unless the queue has reached `maxQueueSize`, or after the next `available` event.
+   */
+  waitForCapacity() {
+    if (!this.full) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.once('available', () => resolve()));
+  }
+
+  /**
+   * emits drain and disables the rate limiter if there are no more jobs to process.
+   * @private
+   */
+  _drainIfNoMore() {
+    this.log.trace('Qyu:_drainIfNoMore() ', {
+      started: this.started,
+      running: this.rateLimiter.running,
+      remaining: this.jobs.length,
+      scheduled: this.scheduledJobs.size,
+      blocked: this.blockedJobs.size
+    });
+    if (this.isDrained()) {
+      this.log.trace('Qyu ⚡️ drain');
+      /**
+       * Fired when no more jobs are to be run.
+       * @event drain
+       * @memberof Qyu
+       */
+      this.emit('drain');
+      this.rateLimiter.toggle(false);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number|string} jobId
+   * @returns true if the job is pending, scheduled, blocked, waiting or running.
+   */
+  _isActive(jobId) {
+    return this.activeJobs.has(jobId);
+  }
+
+  /**
+   * arms the timer of a recurring job, so that it runs at the given date.
+   * @private
+   * @param {Object} schedule
+   * @param {number} runAt - timestamp of next run, in ms, or null if there is none
+   */
+  _armSchedule(schedule, runAt) {
+    schedule.nextRunAt = runAt;
+    if (runAt === null) return; // e.g. cron expression that never matches
+    const delay = Math.max(0, runAt - Date.now());
+    if (delay > MAX_TIMER_DELAY) {
+      schedule.timer = setTimeout(this._armSchedule.bind(this, schedule, runAt), MAX_TIMER_DELAY);
+      return;
+    }
+    schedule.timer = setTimeout(() => {
+      this._armSchedule(schedule, this._nextScheduleRun(schedule, runAt)); // first, in case a listener of `error` throws
+      this._runSchedule(schedule);
+    }, delay);
+  }
+
+  /**
+   * @private
+   * @param {Object} schedule
+   * @param {number} after - timestamp of previous run, in ms
+   * @returns the timestamp of the next run of a recurring job, in ms, or null if there is none.
+   */
+  _nextScheduleRun(schedule, after) {
+    if (schedule.every) {
+      return Math.max(after + schedule.every, Date.now()); // don't try to catch up with missed runs
+    }
+    const next = schedule.cron.next(Math.max(after, Date.now()));
+    return next === null ? null : next.getTime();
+  }
+
+  /**
+   * pushes the job of a recurring job, unless the queue is paused or its previous run is not over.
+   * If the job can't be pushed (e.g. full queue, or unknown dependency), an `error` event is emitted.
+   * @private
+   * @param {Object} schedule
+   */
+  _runSchedule(schedule) {
+    const overlapping = schedule.jobId !== null && this._isActive(schedule.jobId);
+    this.log.trace('Qyu:_runSchedule() ', { name: schedule.name, started: this.started, overlapping });
+    if (!this.started || overlapping) return;
+    let pushPromise;
+    try {
+      pushPromise = this.push(schedule.job, schedule.jobOpts);
+    } catch (error) {
+      this.log.trace('Qyu ⚡️ error ', { schedule: schedule.name, error });
+      this.emit('error', { jobId: null, schedule: schedule.name, error });
+      return;
+    }
+    pushPromise.catch(() => {}); // errors are reported thru `error` events
+    schedule.jobId = pushPromise.jobId;
+  }
+
+  /**
+   * Run a job repeatedly, at a fixed interval or according to a cron expression.
+   * A run is skipped if the queue is paused, or if the previous run of the same schedule did not end yet.
+   * @param {string} name - unique name of the schedule
+   * @param {Function} job - job function, as in push()
+   * @param {Object} opts - options passed to push() for each run (except `id` and `dedupeKey`), plus `every` or `cron`:
+   * @param {number} opts.every - interval between two runs, in ms
+   * @param {string} opts.cron - cron expression, e.g. `0 * * * *` to run at the beginning of every hour
+   */
+  schedule(name, job, opts) {
+    this.log.trace('Qyu:schedule() ', name, opts);
+    this._checkOpen();
+    const jobOpts = Object.assign({}, opts);
+    const { every, cron } = jobOpts;
+    delete jobOpts.every;
+    delete jobOpts.cron;
+    if (this.schedules.has(name)) {
+      throw new Error(`a schedule is already named ${name}`);
+    } else if (!every === !cron) {
+      throw new Error('schedule() requires either `every` or `cron`');
+    } else if (jobOpts.id !== undefined || jobOpts.dedupeKey !== undefined) {
+      throw new Error('schedule() does not accept `id` nor `dedupeKey`, since each run is a new job');
+    }
+    const schedule = { name, job, every, cron: cron ? parseCron(cron) : null, jobOpts, jobId: null, timer: null };
+    this.schedules.set(name, schedule);
+    this._armSchedule(schedule, this._nextScheduleRun(schedule, Date.now()));
+  }
+
+  /**
+   * Stop running a recurring job. Its current run, if any, is not cancelled.
+   * @param {string} name - name of the schedule, as given to `schedule()`
+   * @returns {boolean} true if the schedule was found and removed
+   */
+  unschedule(name) {
+    this.log.trace('Qyu:unschedule() ', name);
+    const schedule = this.schedules.get(name);
+    if (!schedule) return false;
+    clearTimeout(schedule.timer);
+    this.schedules.delete(name);
+    return true;
+  }
+
+  /**
+   * @returns {Object[]} the recurring jobs of this queue: `{ name, every, cron, priority, nextRunAt, jobId }`,
+   * where `jobId` identifies the current run, if any.
+   */
+  listSchedules() {
+    return Array.from(this.schedules.values()).map(schedule => ({
+      name: schedule.name,
+      every: schedule.every || null,
+      cron: schedule.cron ? schedule.cron.expression : null,
+      priority: schedule.jobOpts.priority || DEFAULT_JOB_OPTIONS.priority,
+      nextRunAt: schedule.nextRunAt === null ? null : new Date(schedule.nextRunAt),
+      jobId: schedule.jobId !== null && this._isActive(schedule.jobId) ? schedule.jobId : null,
+    }));
+  }
+
+  /**
+   * @param {number|string} jobId - identifier of a job, as given by `push().jobId`
+   * @returns {Object} latest progress reported by the job, as `{ progress, details }`, or null
+   * if the job did not report any progress, or if it is not active anymore.
+   */
+  getProgress(jobId) {
+    const job = this.activeJobs.get(jobId);
+    return job && job.progress ? Object.assign({}, job.progress) : null;
+  }
+
+  /**
+   * @param {number|string} jobId - identifier of a job, as given by `push().jobId`
+   * @returns {Object} the job, as `{ jobId, state, priority, attempts, dependsOn, pushedAt, runAt, startedAt, finishedAt }`,
+   * plus `jobResult`, `error` or `reason` if it has finished, or null if the queue does not know it (anymore).
+   * `state` is `pending`, `scheduled`, `blocked`, `waiting`, `running`, `done`, `failed` or `cancelled`.
+   */
+  getJob(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (job) {
+      return this._jobInfo(job);
+    }
+    const finished = this.finishedJobs.get(jobId);
+    return finished ? Object.assign({}, finished.info) : null;
+  }
+
+  /**
+   * Lists active jobs, in the order they were pushed, then the last `historySize` finished jobs, from the
+   * most recent to the oldest one.
+   * @param {Object} opts
+   * @param {string|string[]} opts.state - only list jobs in this state, or in one of these states (optional)
+   * @param {number} opts.priority - only list jobs of this priority (optional)
+   * @param {number} opts.limit - maximum number of jobs to list (optional)
+   * @returns {Object[]} the jobs, as provided by `getJob()`.
+   */
+  list(opts) {
+    const { state, priority, limit } = Object.assign({ limit: Infinity }, opts);
+    const states = state === undefined ? null : [].concat(state);
+    const matches = (jobState, jobPriority) => (!states || states.includes(jobState))
+      && (priority === undefined || jobPriority === priority);
+    const jobs = [];
+    for (const job of this.activeJobs.values()) {
+      if (jobs.length >= limit) return jobs;
+      if (matches(job.state, job.opts.priority)) jobs.push(this._jobInfo(job));
+    }
+    for (const { info } of Array.from(this.finishedJobs.values()).reverse()) {
+      if (jobs.length >= limit) return jobs;
+      if (matches(info.state, info.priority)) jobs.push(Object.assign({}, info));
+    }
+    return jobs;
+  }
+
+  /**
+   * @returns {boolean} true if there are no jobs to process: no active jobs, and no payloads waiting in batches.
+   */
+  isDrained() {
+    return !this.activeJobs.size && !this.batches.size;
+  }
+
+  /**
+   * @returns {Object} the number of active jobs in each state, and of finished jobs of the
+   * last `historySize` ones: `{ pending, scheduled, blocked, waiting, running, done, failed, cancelled }`.
+   */
+  counts() {
+    const counts = { pending: 0, scheduled: 0, blocked: 0, waiting: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    this.activeJobs.forEach(job => ++counts[job.state]);
+    this.finishedJobs.forEach(({ state }) => ++counts[state]);
+    return counts;
+  }
+
+  /**
+   * Cancel a job, given its id: removes it from the queue if it was not started yet, or aborts it
+   * if it is running. Its push promise is settled with a `CancelError` as reason.
+   * @param {number|string} jobId - identifier of the job to cancel, as given by `push().jobId`
+   * @returns {boolean} true if the job was found and cancelled, false if it had already ended
+   */
+  cancel(jobId) {
+    this.log.trace('Qyu:cancel() ', jobId);
+    const job = this.activeJobs.get(jobId);
+    if (!job) return false;
+    this._jobCancelled(job, new CancelError(jobId));
+    this._drainIfNoMore();
+    this._processJobs();
+    return true;
+  }
+
+  /**
+   * @returns {Object[]} jobs of the dead-letter store, from oldest to newest failure, as
+   * `{ jobId, error, attempts, priority, pushedAt, startedAt, failedAt }` objects.
+   */
+  listDeadLetters() {
+    return Array.from(this.deadLetters.values()).map(job => this._deadLetterInfo(job));
+  }
+
+  /**
+   * @param {number|string} jobId - identifier of a failed job
+   * @returns {Object} the job, as in `listDeadLetters()`, plus the `job` function and the `opts` it
+   * was pushed with, or null if it is not in the dead-letter store.
+   */
+  getDeadLetter(jobId) {
+    const job = this.deadLetters.get(jobId);
+    return job ? Object.assign(this._deadLetterInfo(job), { job: job.job, opts: job.opts }) : null;
+  }
+
+  /**
+   * Pushes a failed job again, with its original id and options, and removes it from the dead-letter store.
+   * Its original push promise, if it did not reject, will be settled with the outcome of this new run.
+   * @param {number|string} jobId - identifier of a failed job
+   * @param {Object} opts
+   * @param {number} opts.priority - new priority of the job (optional)
+   * @returns {Promise} A promise, as returned by `push()`
+   * @throws if a job it depends on is not known anymore (e.g. a dead letter that was not requeued before),
+   * or if the queue is full, as `push()` does.
+   */
+  requeueDeadLetter(jobId, opts) {
+    this.log.trace('Qyu:requeueDeadLetter() ', jobId, opts);
+    this._checkOpen();
+    const job = this.deadLetters.get(jobId);
+    if (!job) {
+      throw new Error(`unknown dead letter: job ${jobId}`);
+    }
+    const jobOpts = Object.assign({}, job.opts, opts && opts.priority ? { priority: opts.priority } : {});
+    this._checkDependencies(jobId, jobOpts.dependsOn);
+    if (this._isFull()) {
+      this._jobToDrop(jobOpts.priority); // throws before the dead letter is removed
+    }
+    this.deadLetters.delete(jobId);
+    this.finishedJobs.delete(jobId);
+    job.pendingDependencies.forEach(id => { // remaining from when it failed because of a dependency
+      this.dependents.set(id, (this.dependents.get(id) || []).filter(dependent => dependent !== job));
+    });
+    Object.assign(job, {
+      seq: this.nextSeq++,
+      opts: jobOpts,
+      attempts: 0,
+      runAt: Date.now(),
+      pendingDependencies: new Set(),
+      dependencyResults: {},
+      progress: null,
+      error: null,
+      startedAt: null,
+      failedAt: null,
+      finishedAt: null,
+    });
+    const previousPromise = job.pushPromise;
+    const pushPromise = new Promise((resolve, reject) => {
+      job.pushPromise = {
+        resolve: res => { previousPromise.resolve(res); resolve(res); },
+        reject: err => { previousPromise.reject(err); reject(err); },
+      };
+    });
+    pushPromise.jobId = jobId;
+    job.promise = pushPromise;
+    if (this._isFull()) {
+      this._overflow(job);
+    } else {
+      this._submitJob(job);
+    }
+    return pushPromise;
+  }
+
+  /**
+   * Removes jobs from the dead-letter store.
+   * @param {Array<number|string>} jobIds - identifiers of the jobs to remove (default: all jobs)
+   * @returns {number} the number of jobs that were removed
+   */
+  purgeDeadLetters(jobIds) {
+    this.log.trace('Qyu:purgeDeadLetters() ', jobIds);
+    if (jobIds === undefined) {
+      const count = this.deadLetters.size;
+      this.deadLetters.clear();
+      return count;
+    }
+    return [].concat(jobIds).filter(jobId => this.deadLetters.delete(jobId)).length;
+  }
+
+  /**
+   * Provides the outcomes of jobs, in the order they end, as a readable stream of objects that can also
+   * be consumed with `for await`. When the consumer falls behind (i.e. `highWaterMark` outcomes are
+   * buffered), no more jobs are started until it catches up.
+   * @param {Object} opts
+   * @param {number} opts.highWaterMark - number of outcomes to buffer before holding job starts (default: 16)
+   * @param {boolean} opts.untilDrain - if true (default), the stream ends at the next `drain` event.
+   * Otherwise, it provides outcomes until it is destroyed.
+   * @returns {Readable} A stream of `{ jobId, jobResult }`, `{ jobId, error }` or `{ jobId, cancelled, reason }` objects.
+   */
+  results(opts) {
+    this.log.trace('Qyu:results() ', opts);
+    const { highWaterMark, untilDrain } = Object.assign({ highWaterMark: 16, untilDrain: true }, opts);
+    const write = (outcome) => {
+      if (!stream.push(outcome)) {
+        this.slowConsumers.add(stream);
+      }
+    };
+    const listeners = {
+      done: ({ jobId, jobResult }) => write({ jobId, jobResult }),
+      error: ({ jobId, error }) => write({ jobId, error }),
+      cancelled: ({ jobId, reason }) => write({ jobId, cancelled: true, reason }),
+      drain: () => {
+        if (untilDrain) {
+          stop();
+          stream.push(null); // ends the stream
+        }
+      },
+    };
+    const stop = () => {
+      Object.keys(listeners).forEach(event => this.removeListener(event, listeners[event]));
+      if (this.slowConsumers.delete(stream)) {
+        process.nextTick(() => this._processJobs());
+      }
+    };
+    const stream = new Readable({
+      objectMode: true,
+      highWaterMark,
+      read: () => {
+        if (this.slowConsumers.delete(stream)) {
+          process.nextTick(() => this._processJobs()); // deferred, in case the consumer reads from a listener
+        }
+      },
+      destroy: (err, callback) => {
+        stop();
+        callback(err);
+      },
+    });
+    Object.keys(listeners).forEach(event => this.on(event, listeners[event]));
+    return stream;
+  }
+
+  /**
+   * Add a job to this queue, and runs it if queue was started.
+   * @param {Function|Object} job is a function returning a promise to indicate when the job is done.
+   * It is called with a context object: `{ jobId, signal, dependencies, progress }`, where `signal` is
+   * an AbortSignal that is aborted if the job times out or gets cancelled, and `progress(value, details)`
+   * is a function that the job can call to report its progress thru `progress` events.
+   * The job can also be a `{ module, payload }` object: the function exported by that module (path) is
+   * then called by the queue's executor (e.g. in a worker thread), with the serializable `payload` as
+   * first parameter, and `{ jobId, dependencies, progress }`.
+   * If the queue's `batch` option is set, this is a payload instead, that will be processed in a batch:
+   * only the `priority` option applies, and the promise resolves with `{ jobId, batchId, jobResult }`,
+   * where `jobResult` is the result of the batch handler for this payload.
+   * @param {Object} opts
+   * @param {number} opts.priority from 1 to 10, 1 being the highest priority
+   * @param {number} opts.timeout maximum duration of the job, in ms. (default: queue's `timeout`)
+   * @param {Object|boolean} opts.retry overrides the queue's retry policy, or disables it if `false`
+   * @param {number} opts.delay minimum number of milliseconds to wait before running the job
+   * @param {Date|number} opts.runAt date (or timestamp, in ms) before which the job must not be run
+   * @param {Array<number|string>} opts.dependsOn ids of jobs that must succeed before this job can run. Their results
+   * are passed to the job as `dependencies`, by id. If one of them fails or is cancelled, so is this job.
+   * @param {string} opts.key identifies a group of jobs (e.g. a hostname) to which the queue's `keyLimits` apply
+   * @param {string} opts.executor overrides the queue's executor, for a job given as `{ module, payload }`
+   * @param {number|string} opts.id identifier of the job, instead of one returned by the queue's `idGenerator`.
+   * `push()` throws if the queue already knows a job with that id.
+   * @param {string} opts.dedupeKey if an active job (or a job that finished less than `dedupeTtl` ms ago) was pushed
+   * with the same key, this job is not pushed, and the promise of that job is returned instead (see `dedupePolicy`)
+   * @returns {Promise} A promise that resolves with {jobId, jobResult}, or {jobId, cancelled, reason}
+   * if the job was cancelled. Its `jobId` property holds the identifier of the job.
+   * @throws {QueueFullError} if the queue has reached `maxQueueSize`, and the `overflow` policy is `reject`,
+   * or if it is `dropLowest` and no pending job has a lower priority than this job.
+   * @throws if `close()` was called.
+   */
+  push(job, opts) {
+    this._checkOpen();
+    if (this.opts.batch) {
+      return this._pushItem(job, opts);
+    }
+    return this._pushJob(job, opts);
+  }
+
+  /**
+   * @private
+   * @param {Function|Object} job
+   * @param {Object} opts - options of the job, as given to `push()`
+   * @param {Object} fields - properties that override the ones of the job object, e.g. `weight` (optional)
+   * @returns {Promise} A promise, as returned by `push()`
+   */
+  _pushJob(job, opts, fields) {
+    const duplicate = opts && this._findDuplicate(opts);
+    if (duplicate) {
+      return duplicate.promise;
+    }
+    const jobOpts = Object.assign({}, DEFAULT_JOB_OPTIONS, { timeout: this.opts.timeout, executor: this.opts.executor }, opts);
+    const id = this._newJobId(jobOpts.id);
+    delete jobOpts.id;
+    this.log.trace(`Qyu:push() id: ${id}, opts:`, opts);
+    if (typeof job !== 'function') {
+      job = this._checkModuleJob(job, jobOpts.executor);
+    }
+    const hasRetryPolicy = jobOpts.retry !== false && (jobOpts.retry || this.opts.retry);
+    jobOpts.retry = hasRetryPolicy
+      ? Object.assign({}, DEFAULT_RETRY_OPTIONS, this.opts.retry, jobOpts.retry)
+      : null;
+    jobOpts.dependsOn = [].concat(jobOpts.dependsOn);
+    this._checkDependencies(id, jobOpts.dependsOn);
+    const jobObj = {
+      id,
+      seq: this.nextSeq++,
+      job,
+      opts: jobOpts,
+      attempts: 0,
+      pushedAt: Date.now(),
+      runAt: jobOpts.runAt ? +new Date(jobOpts.runAt) : Date.now() + (jobOpts.delay || 0),
+      pendingDependencies: new Set(), // ids of jobs that must succeed before this job can run
+      dependencyResults: {},          // results of jobs this job depends on, by id
+      weight: 1,                      // number of jobs it counts for, against limits
+      batchItems: null,               // payloads of the batch it runs, whose outcomes are reported instead of its own
+    };
+    const pushPromise = new Promise((resolve, reject) => {
+      jobObj.pushPromise = { resolve, reject };
+    });
+    pushPromise.jobId = id;
+    jobObj.promise = pushPromise;
+    Object.assign(jobObj, fields);
+    if (this._isFull()) {
+      this._overflow(jobObj);
+    } else {
+      this._submitJob(jobObj);
+    }
+    return pushPromise;
+  }
+
+  /**
+   * @private
+   * @param {number|string} id - identifier given by the caller of `push()`, if any
+   * @returns {number|string} that identifier, or a new one, as returned by `idGenerator`, skipping the ones
+   * that were already given by callers
+   * @throws if the queue already knows a job with that id (active, finished or dead letter).
+   */
+  _newJobId(id) {
+    const isKnown = id => this.activeJobs.has(id) || this.finishedJobs.has(id) || this.deadLetters.has(id);
+    if (id !== undefined && isKnown(id)) {
+      throw new Error(`duplicate job id: ${id}`);
+    } else if (id !== undefined) {
+      return id;
+    }
+    // each clash is with a different known id, unless the generator is broken (e.g. returns a constant)
+    let attempts = this.activeJobs.size + this.finishedJobs.size + this.deadLetters.size + 1;
+    do {
+      id = this.generateId();
+    } while (isKnown(id) && --attempts);
+    if (!attempts) {
+      throw new Error(`duplicate job id: ${id}`);
+    }
+    return id;
+  }
+
+  /**
+   * applies the `overflow` policy to a job that was pushed while the queue was full.
+   * @private
+   * @param {Object} job
+   */
+  _overflow(job) {
+    this.log.trace('Qyu:_overflow() ', { jobId: job.id, overflow: this.opts.overflow });
+    const lowest = this._jobToDrop(job.opts.priority);
+    if (!lowest) { // `wait` policy
+      this.metrics.jobPushed();
+      this.activeJobs.set(job.id, job);
+      this._holdDedupeKey(job);
+      job.state = 'waiting';
+      this.waitingJobs.push(job);
+      return;
+    }
+    this._jobCancelled(lowest, new QueueFullError(this.opts.maxQueueSize));
+    this._submitJob(job);
+  }
+
+  /**
+   * @private
+   * @param {number} priority - priority of a job pushed while the queue is full
+   * @returns {Object} the pending job to drop for it, according to the `dropLowest` policy, or null if
+   * the `overflow` policy is `wait`.
+   * @throws {QueueFullError} if the job can't enter the queue, nor wait for room in it.
+   */
+  _jobToDrop(priority) {
+    const { overflow, maxQueueSize, maxWaiting } = this.opts;
+    if (overflow === 'wait' && this.waitingJobs.length >= maxWaiting) {
+      throw new QueueFullError(maxQueueSize);
+    } else if (overflow === 'wait') {
+      return null;
+    }
+    const lowest = overflow === 'dropLowest' && this.jobs.peekLast();
+    if (!lowest || lowest.opts.priority <= priority) {
+      throw new QueueFullError(maxQueueSize);
+    }
+    return lowest;
+  }
+
+  /**
+   * adds a payload to the batch of its priority, and runs that batch if it is full.
+   * @private
+   * @param {*} payload
+   * @param {Object} opts - `{ priority }`
+   * @returns {Promise} A promise that resolves with `{ jobId, batchId, jobResult }`, where `jobResult` is the
+   * result of the handler for this payload, or `{ jobId, batchId, cancelled, reason }` if the batch was cancelled.
+   */
+  _pushItem(payload, opts) {
+    const unsupported = Object.keys(opts || {}).find(name => name !== 'priority' && opts[name] !== undefined);
+    if (unsupported) { // payloads are not jobs of the queue: e.g. they can't be delayed, deduplicated or retried alone
+      throw new Error(`${unsupported} is not supported in batch mode: only priority is`);
+    }
+    const id = this.generateId();
+    const { priority } = Object.assign({}, DEFAULT_JOB_OPTIONS, opts);
+    this.log.trace(`Qyu:_pushItem() id: ${id}, priority:`, priority);
+    const { maxBatchSize, maxWaitMs } = this.opts.batch;
+    let batch = this.batches.get(priority);
+    if (!batch) {
+      batch = { items: [], timer: setTimeout(() => this._flushBatch(priority), maxWaitMs) };
+      this.batches.set(priority, batch);
+    }
+    const pushPromise = new Promise((resolve, reject) => batch.items.push({ id, payload, resolve, reject }));
+    pushPromise.jobId = id;
+    if (batch.items.length >= maxBatchSize) {
+      this._flushBatch(priority);
+    }
+    return pushPromise;
+  }
+
+  /**
+   * pushes a job that will call the batch handler with the payloads of a batch, then settle their promises.
+   * @private
+   * @param {number} priority - priority of the batch
+   */
+  _flushBatch(priority) {
+    const { items, timer } = this.batches.get(priority);
+    this.log.trace('Qyu:_flushBatch() ', { priority, nbItems: items.length });
+    clearTimeout(timer);
+    this.batches.delete(priority);
+    const { handler, countItems } = this.opts.batch;
+    const payloads = items.map(item => item.payload);
+    try {
+      this._pushJob(context => handler(payloads, context), { priority }, {
+        weight: countItems ? items.length : 1,
+        batchItems: items,
+      });
+    } catch (error) { // e.g. QueueFullError
+      items.forEach(item => this._itemFailed(item, null, error));
+      this._drainIfNoMore();
+    }
+  }
+
+  /**
+   * settles the promise of each payload of a batch with its own result, or its own error.
+   * @private
+   * @param {number|string} batchId - identifier of the batch job
+   * @param {Object[]} items - `{ id, payload, resolve, reject }` of each payload
+   * @param {*[]} results - array returned by the handler, with one result or Error per payload
+   */
+  _settleItems(batchId, items, results) {
+    if (!Array.isArray(results) || results.length !== items.length) {
+      const error = new TypeError(`batch handler must return an array of ${items.length} results`);
+      items.forEach(item => this._itemFailed(item, batchId, error));
+      return;
+    }
+    items.forEach((item, i) => {
+      if (results[i] instanceof Error) {
+        this._itemFailed(item, batchId, results[i]);
+      } else {
+        this._done({ jobId: item.id, jobResult: results[i] });
+        item.resolve({ jobId: item.id, batchId, jobResult: results[i] });
+      }
+    });
+  }
+
+  /**
+   * emits an `error` event for a payload of a batch, and rejects its promise if `rejectErrorsOnPush` is set.
+   * @private
+   * @param {Object} item - `{ id, payload, resolve, reject }`
+   * @param {number|string} batchId - identifier of the batch job, or null if it could not be pushed
+   * @param {Error} error
+   */
+  _itemFailed(item, batchId, error) {
+    this._error({ jobId: item.id, error });
+    if (this.opts.rejectErrorsOnPush) {
+      item.reject({ jobId: item.id, batchId, error });
+    }
+  }
+
+  /**
+   * emits a `cancelled` event for a payload of a batch, and settles its promise accordingly.
+   * @private
+   * @param {Object} item - `{ id, payload, resolve, reject }`
+   * @param {number|string} batchId - identifier of the batch job
+   * @param {CancelError|QueueFullError} reason
+   */
+  _itemCancelled(item, batchId, reason) {
+    this._cancelled({ jobId: item.id, reason });
+    if (this.opts.rejectErrorsOnPush) {
+      item.reject({ jobId: item.id, batchId, error: reason });
+    } else {
+      item.resolve({ jobId: item.id, batchId, cancelled: true, reason });
+    }
+  }
+
+  /**
+   * adds a job that was just pushed (or requeued) to active jobs, and runs it if possible.
+   * @private
+   * @param {Object} job
+   */
+  _submitJob(job) {
+    this.metrics.jobPushed();
+    this.activeJobs.set(job.id, job);
+    this._holdDedupeKey(job);
+    this._addJob(job);
+    if (this.started && this.activeJobs.has(job.id)) { // i.e. unless it failed because of a dependency
+      this.rateLimiter.toggle(true); // necessary for jobs pushed after drain
+    }
+    this._processJobs(); // useful for when jobs were pushed after Qyu was started
+  }
+
+  /**
+   * makes a job that was just pushed (or requeued) the one that next pushes of its `dedupeKey` return.
+   * @private
+   * @param {Object} job
+   */
+  _holdDedupeKey(job) {
+    const { dedupeKey } = job.opts;
+    if (dedupeKey === undefined) return;
+    const previous = this.dedupeKeys.get(dedupeKey);
+    if (previous) {
+      clearTimeout(previous.dedupeTimer); // e.g. a finished job, within its `dedupeTtl`
+    }
+    this.dedupeKeys.set(dedupeKey, job);
+  }
+
+  /**
+   * throws if a job is neither a function, nor a valid `{ module, payload }` object.
+   * @private
+   * @param {Object} job
+   * @param {string} executor - name of the executor that will run the job
+   * @returns {Object} the job, with the absolute path of its module
+   */
+  _checkModuleJob(job, executor) {
+    if (!job || typeof job.module !== 'string') {
+      throw new Error('job must be a function, or a { module, payload } object');
+    }
+    if (!EXECUTORS[executor]) {
+      throw new Error(`unknown executor: ${executor}`);
+    }
+    return Object.assign({}, job, { module: path.resolve(job.module) });
+  }
+
+  /**
+   * throws if a job would depend on unknown jobs, or on itself thru other jobs.
+   * @private
+   * @param {number|string} jobId - identifier of the job being pushed
+   * @param {Array<number|string>} dependsOn - ids of jobs it depends on
+   */
+  _checkDependencies(jobId, dependsOn) {
+    const unknownId = dependsOn.find(id => !this.activeJobs.has(id) && !this.finishedJobs.has(id));
+    if (unknownId !== undefined) {
+      throw new Error(`unknown dependency: job ${unknownId}`);
+    }
+    const visited = new Set();
+    const dependsOnJob = (id) => {
+      if (id === jobId) return true;
+      if (visited.has(id)) return false;
+      visited.add(id);
+      const job = this.activeJobs.get(id) || this.finishedJobs.get(id);
+      return !!job && (job.opts ? job.opts.dependsOn : job.dependsOn).some(dependsOnJob);
+    };
+    if (dependsOn.some(dependsOnJob)) {
+      throw new Error(`dependency cycle: job ${jobId} would depend on itself`);
+    }
+  }
+
+  /**
+   * blocks a job that was just pushed until the jobs it depends on succeed, or enqueues it.
+   * @private
+   * @param {Object} job
+   */
+  _addJob(job) {
+    const finished = job.opts.dependsOn.map(id => this.finishedJobs.get(id)).filter(Boolean);
+    const failed = finished.find(dependency => dependency.state !== 'done');
+    job.state = 'blocked';
+    if (failed && failed.state === 'failed') {
+      this._jobFailed(job, new DependencyError(failed.id, failed.error));
+      return;
+    } else if (failed) {
+      this._jobCancelled(job, new CancelError(job.id));
+      return;
+    }
+    finished.forEach(dependency => job.dependencyResults[dependency.id] = dependency.jobResult);
+    job.opts.dependsOn.filter(id => this.activeJobs.has(id)).forEach(id => {
+      job.pendingDependencies.add(id);
+      this.dependents.set(id, (this.dependents.get(id) || []).concat([ job ]));
+    });
+    if (job.pendingDependencies.size) {
+      this.blockedJobs.add(job);
+    } else {
+      this._enqueueJob(job);
+    }
+  }
+
+  /**
+   * @returns {Object} the dependency graph of active jobs: `{ nodes, edges }`, where `nodes` are
+   * `{ id, state, dependsOn }` objects, for jobs that have dependencies and for their dependencies,
+   * and `edges` are `{ from, to }` objects, meaning that job `from` must succeed before job `to` can run.
+   */
+  getGraph() {
+    const nodes = new Map();
+    const addNode = (id) => {
+      if (nodes.has(id)) return;
+      const job = this.activeJobs.get(id) || this.finishedJobs.get(id);
+      const state = job ? job.state : 'unknown'; // finished too long ago
+      const dependsOn = !job ? [] : job.opts ? job.opts.dependsOn : job.dependsOn;
+      nodes.set(id, { id, state, dependsOn });
+    };
+    this.activeJobs.forEach(job => {
+      if (job.opts.dependsOn.length) {
+        addNode(job.id);
+        job.opts.dependsOn.forEach(addNode);
+      }
+    });
+    const nodeList = Array.from(nodes.values());
+    const edges = [];
+    nodeList.forEach(node => node.dependsOn.forEach(from => edges.push({ from, to: node.id })));
+    return { nodes: nodeList, edges };
+  }
+
+  /**
+   * @private
+   * @returns {Object} counts of active jobs by state, percentiles and rates, as provided by Metrics.
+   */
+  _jobStats() {
+    const counts = { pending: 0, running: 0, scheduled: 0, blocked: 0, waiting: 0, byPriority: {} };
+    this.activeJobs.forEach(job => {
+      const { priority } = job.opts;
+      counts.byPriority[priority] = counts.byPriority[priority]
+        || { pending: 0, running: 0, scheduled: 0, blocked: 0, waiting: 0 };
+      ++counts[job.state];
+      ++counts.byPriority[priority][job.state];
+    });
+    const byKey = {};
+    this.keyLimiters.forEach((limiter, key) => {
+      if (!limiter) return;
+      const { running, concurrency, rateWindows } = limiter.getStats();
+      byKey[key] = { running, concurrency, rateWindows };
+    });
+    return Object.assign(this.metrics.getStats(counts), { byKey });
+  }
+
+  /**
+   * @returns {Object} the same stats as provided by `stats` events, computed now.
+   */
+  getStats() {
+    return Object.assign(this.rateLimiter.getStats(), this._jobStats());
+  }
+
+  /**
+   * Pause all running jobs of this queue.
+   * @returns {Promise} A promise that resolves when the queue has paused (no jobs being processed)
+   */
+  pause() {
+    this.log.trace('Qyu:pause()');
+    this.started = false; // prevent next jobs from being processed
+    return this.rateLimiter.waitForDrain().then(() => {
+      this.rateLimiter.toggle(false);
+    });
+  }
+
+  /**
+   * Start running jobs of this queue.
+   * @returns {Promise} A promise that resolves when the queue has started (first time) or unpaused
+   */
   start() {
     this.log.trace('Qyu:start()');
     return new Promise((resolve, reject) => {
+      this._checkOpen();
       this.started = true;
       // throw 'dumm2'; // for testing
       this.rateLimiter.toggle(true); // makes sure that the interval is started asap
@@ -244,10 +1789,114 @@ class Qyu extends EventEmitter {
     });
   }
 
+  /**
+   * Shut the queue down: stops accepting jobs, cancels the jobs that were not started yet (including
+   * payloads of batches and runs of schedules), and lets running jobs finish, up to a deadline. Then
+   * stops the `stats` interval and the executors of `{ module, payload }` jobs.
+   * @param {Object} opts
+   * @param {number} opts.timeoutMs - maximum number of ms to wait for running jobs (default: no limit)
+   * @param {boolean} opts.abortRunning - if true, jobs that are still running at the deadline are cancelled,
+   * i.e. their signal is aborted and their push promise is settled. (right away, if `timeoutMs` is not set)
+   * @returns {Promise} A promise that resolves with `{ stragglers }`, the ids of the jobs that were still running
+   * at the deadline. Subsequent calls return the same promise.
+   */
+  close(opts) {
+    this.log.trace('Qyu:close() ', opts);
+    if (this.closing) {
+      return this.closing;
+    }
+    const { timeoutMs, abortRunning } = Object.assign({ timeoutMs: null, abortRunning: false }, opts);
+    const deadline = timeoutMs !== null ? timeoutMs : abortRunning ? 0 : null;
+    this.closing = new Promise(resolve => {
+      this.started = false; // prevent next jobs from being processed
+      this.schedules.forEach(schedule => clearTimeout(schedule.timer));
+      this.schedules.clear();
+      Array.from(this.batches.keys()).forEach(priority => this._flushBatch(priority)); // to cancel them below
+      this._cancelNotRunning();
+      this._updateFull(); // resolves waitForCapacity()
+      let timer;
+      const timedOut = deadline === null ? null : new Promise(resolve => timer = setTimeout(resolve, deadline));
+      Promise.race([ this.rateLimiter.waitForDrain(), timedOut ].filter(Boolean)).then(() => {
+        clearTimeout(timer);
+        const stragglers = Array.from(this.activeJobs.values()).filter(job => job.state === 'running');
+        this.log.debug('Qyu closing, stragglers: ', stragglers.map(job => job.id));
+        if (abortRunning) {
+          stragglers.forEach(job => this._jobCancelled(job, new CancelError(job.id)));
+        }
+        this._cancelNotRunning(); // e.g. retries of jobs that failed meanwhile
+        this.rateLimiter.toggle(false);
+        this.detachParentLimiter();
+        this.dedupeKeys.forEach(job => clearTimeout(job.dedupeTimer));
+        this._drainIfNoMore();
+        const executors = !stragglers.length || abortRunning ? Array.from(this.executors.values()) : [];
+        return Promise.all(executors.map(executor => executor.close()))
+          .then(() => resolve({ stragglers: stragglers.map(job => job.id) }));
+      });
+    });
+    return this.closing;
+  }
+
+  /**
+   * Stops subjecting jobs to the limits of `parentLimiter`, e.g. after the queue was removed from its QueueManager.
+   * Jobs that are running at that time release their slots in the parent's limits.
+   */
+  detachParentLimiter() {
+    this.log.trace('Qyu:detachParentLimiter()');
+    const { parentLimiter } = this.opts;
+    if (!parentLimiter) return;
+    this.activeJobs.forEach(job => job.state === 'running' && parentLimiter.jobEnded(job.weight));
+    parentLimiter.removeListener('jobEnded', this.onParentJobEnded);
+    this.opts.parentLimiter = null;
+    this.onParentJobEnded = null;
+  }
+
+  /**
+   * cancels the pending, scheduled, blocked and waiting jobs.
+   * @private
+   */
+  _cancelNotRunning() {
+    Array.from(this.activeJobs.values())
+      .filter(job => job.state !== 'running' && this.activeJobs.has(job.id)) // may be cancelled by a dependency
+      .forEach(job => this._jobCancelled(job, new CancelError(job.id)));
+  }
+
+  /**
+   * Call `close()` when the process receives a termination signal, then exit. The handlers are removed
+   * once a signal was received, so that another signal stops the process right away.
+   * @param {Object} opts - options passed to `close()`, plus:
+   * @param {string[]} opts.signals - names of the signals to handle (default: `[ 'SIGTERM', 'SIGINT' ]`)
+   * @param {boolean} opts.exit - if false, the process does not exit after `close()` (default: true)
+   * @returns {Function} a function that removes the signal handlers.
+   */
+  closeOnSignals(opts) {
+    this.log.trace('Qyu:closeOnSignals() ', opts);
+    const { signals, exit } = Object.assign({ signals: [ 'SIGTERM', 'SIGINT' ], exit: true }, opts);
+    const removeHandlers = () => signals.forEach(signal => process.removeListener(signal, onSignal));
+    const onSignal = (signal) => {
+      this.log.debug('Qyu received signal ', signal);
+      removeHandlers();
+      this.close(opts).then(({ stragglers }) => {
+        if (exit) {
+          process.exit(stragglers.length ? 1 : 0);
+        }
+      });
+    };
+    signals.forEach(signal => process.on(signal, onSignal));
+    return removeHandlers;
+  }
+
 }
 
 function qyu(opts) {
   return new Qyu(opts);
 }
 
+qyu.TimeoutError = TimeoutError;
+qyu.CancelError = CancelError;
+qyu.DependencyError = DependencyError;
+qyu.QueueFullError = QueueFullError;
+qyu.ProcessExitError = ProcessExitError;
+qyu.rateStrategies = rateStrategies;
+qyu.idGenerators = idGenerators;
+
 module.exports = qyu;
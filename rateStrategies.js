@@ -0,0 +1,221 @@
+/**
+ * Rate limiting strategies, used by RateLimiter to decide if a job can be started now.
+ *
+ * A strategy is an object that implements the following methods:
+ * - `canRun(running, now, nbJobs)`: returns true if another job can be started at time `now` (in ms),
+ *   given the number of jobs that are currently `running`. `nbJobs` is the number of jobs that it counts
+ *   for, e.g. items of a batch (default: 1);
+ * - `jobStarted(now)`: called when a job was started at time `now`;
+ * - `jobEnded(now)`: called when a job ended at time `now`.
+ *
+ * Built-in strategies are instantiated with `{ limit, intervalMs, burst }`, and also implement
+ * `usage(running, now)`, which returns the number of jobs counted against `limit` at time `now`.
+ */
+
+/**
+ * Default strategy: counts jobs that are running and jobs that ended during the last interval.
+ * As a consequence, a job that takes longer than the interval occupies its slot until it ends.
+ */
+class EndWindow {
+
+  /**
+   * @param {Object} opts
+   * @param {number} opts.limit - maximum number of jobs running or ended during the interval
+   * @param {number} opts.intervalMs - duration of the interval, in ms
+   */
+  constructor({ limit, intervalMs }) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.recentJobs = [];         // end dates of jobs ended during the last interval
+  }
+
+  /**
+   * removes end dates that are older than the interval from this.recentJobs.
+   * @private
+   */
+  _cleanRecentJobs(now) {
+    this.recentJobs = this.recentJobs.filter(endDate => now - endDate <= this.intervalMs);
+  }
+
+  usage(running, now) {
+    this._cleanRecentJobs(now);
+    return running + this.recentJobs.length;
+  }
+
+  canRun(running, now, nbJobs = 1) {
+    return this.usage(running, now) + nbJobs <= this.limit;
+  }
+
+  jobStarted(now) {}
+
+  jobEnded(now) {
+    this._cleanRecentJobs(now);
+    this.recentJobs.push(now);
+  }
+
+}
+
+/**
+ * Counts jobs that were started during the last interval, regardless of their duration.
+ */
+class SlidingWindow {
+
+  /**
+   * @param {Object} opts
+   * @param {number} opts.limit - maximum number of jobs started during any interval
+   * @param {number} opts.intervalMs - duration of the interval, in ms
+   */
+  constructor({ limit, intervalMs }) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.startDates = [];         // start dates of jobs started during the last interval
+  }
+
+  usage(running, now) {
+    while (this.startDates.length && now - this.startDates[0] >= this.intervalMs) {
+      this.startDates.shift();
+    }
+    return this.startDates.length;
+  }
+
+  canRun(running, now, nbJobs = 1) {
+    return this.usage(running, now) + nbJobs <= this.limit;
+  }
+
+  jobStarted(now) {
+    this.startDates.push(now);
+  }
+
+  jobEnded(now) {}
+
+}
+
+/**
+ * Counts jobs that were started since the beginning of the current interval.
+ * Intervals are aligned on multiples of `intervalMs`, so up to `2 * limit` jobs can be started
+ * around the boundary between two intervals.
+ */
+class FixedWindow {
+
+  /**
+   * @param {Object} opts
+   * @param {number} opts.limit - maximum number of jobs started during each interval
+   * @param {number} opts.intervalMs - duration of each interval, in ms
+   */
+  constructor({ limit, intervalMs }) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.windowStart = 0;         // start date of the current interval
+    this.started = 0;             // number of jobs started during the current interval
+  }
+
+  /**
+   * resets the counter if `now` belongs to a new interval.
+   * @private
+   */
+  _updateWindow(now) {
+    const windowStart = now - now % this.intervalMs;
+    if (windowStart !== this.windowStart) {
+      this.windowStart = windowStart;
+      this.started = 0;
+    }
+  }
+
+  usage(running, now) {
+    this._updateWindow(now);
+    return this.started;
+  }
+
+  canRun(running, now, nbJobs = 1) {
+    return this.usage(running, now) + nbJobs <= this.limit;
+  }
+
+  jobStarted(now) {
+    this._updateWindow(now);
+    ++this.started;
+  }
+
+  jobEnded(now) {}
+
+}
+
+/**
+ * Each job consumes a token from a bucket that is refilled at a rate of `limit` tokens per interval.
+ * The bucket holds up to `burst` tokens, which allows short bursts above the average rate.
+ */
+class TokenBucket {
+
+  /**
+   * @param {Object} opts
+   * @param {number} opts.limit - number of tokens added to the bucket during each interval
+   * @param {number} opts.intervalMs - duration of the interval, in ms
+   * @param {number} opts.burst - capacity of the bucket (default: `limit`)
+   */
+  constructor({ limit, intervalMs, burst }) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.capacity = burst || limit;
+    this.tokens = this.capacity;  // the bucket is full at first
+    this.lastRefill = null;       // date of last refill of the bucket
+  }
+
+  /**
+   * adds the tokens that were earned since the last refill.
+   * @private
+   */
+  _refill(now) {
+    if (this.lastRefill !== null) {
+      const earned = (now - this.lastRefill) * this.limit / this.intervalMs;
+      this.tokens = Math.min(this.capacity, this.tokens + earned);
+    }
+    this.lastRefill = now;
+  }
+
+  usage(running, now) {
+    this._refill(now);
+    return this.capacity - this.tokens;
+  }
+
+  canRun(running, now, nbJobs = 1) {
+    this._refill(now);
+    return this.tokens >= nbJobs;
+  }
+
+  jobStarted(now) {
+    this._refill(now);
+    --this.tokens;
+  }
+
+  jobEnded(now) {}
+
+}
+
+const STRATEGIES = {
+  endWindow: EndWindow,
+  slidingWindow: SlidingWindow,
+  fixedWindow: FixedWindow,
+  tokenBucket: TokenBucket,
+};
+
+/**
+ * @param {string|Object} strategy - name of a built-in strategy, or custom strategy object
+ * @param {Object} opts - options passed to the constructor of built-in strategies
+ * @returns a strategy object.
+ */
+function createRateStrategy(strategy, opts) {
+  if (typeof strategy === 'object') {
+    return strategy;
+  } else if (STRATEGIES[strategy]) {
+    return new STRATEGIES[strategy](opts);
+  } else {
+    throw new Error(`unknown rate strategy: ${strategy}`);
+  }
+}
+
+module.exports = {
+  EndWindow,
+  SlidingWindow,
+  FixedWindow,
+  TokenBucket,
+  createRateStrategy,
+};
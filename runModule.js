@@ -0,0 +1,28 @@
+/**
+ * Runs a job that was given as `{ module, payload }`, in a worker thread or a child process.
+ *
+ * The module must export a function (as `module.exports`, or as `default` export), that is called
+ * with the payload and a context object: `{ jobId, dependencies, progress }`.
+ */
+
+const { pathToFileURL } = require('url');
+const { serializeError } = require('./errors');
+
+/**
+ * @param {Object} task
+ * @param {string} task.module - absolute path of the module
+ * @param {*} task.payload - first argument passed to the function of the module
+ * @param {number|string} task.jobId - identifier of the job
+ * @param {Object} task.dependencies - results of the jobs that the job depends on, by id
+ * @param {Function} send - called with `{ type: 'progress', progress, details }` messages, then
+ * with `{ type: 'done', result }` or `{ type: 'error', error }`
+ */
+function runModule({ module, payload, jobId, dependencies }, send) {
+  const progress = (progress, details) => send({ type: 'progress', progress, details });
+  import(pathToFileURL(module).href)
+    .then(exported => exported.default(payload, { jobId, dependencies, progress }))
+    .then(result => send({ type: 'done', result }))
+    .catch(error => send({ type: 'error', error: serializeError(error) }));
+}
+
+module.exports = runModule;
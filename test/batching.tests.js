@@ -0,0 +1,204 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// batch handler that doubles numbers, and records the payloads of each call
+const makeDoubler = (calls = []) => Object.assign(async (payloads) => {
+  calls.push(payloads);
+  return payloads.map(n => typeof n === 'number' ? n * 2 : new TypeError(`not a number: ${n}`));
+}, { calls });
+
+describe('batching', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('payloads should be processed in batches of maxBatchSize', async function() {
+    const handler = makeDoubler();
+    const q = qyu({ log, batch: { handler, maxBatchSize: 3, maxWaitMs: 10 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const promises = [ 1, 2, 3, 4, 5 ].map(n => q.push(n));
+    await q.start();
+    const results = await Promise.all(promises);
+    assert.deepEqual(results.map(({ jobResult }) => jobResult), [ 2, 4, 6, 8, 10 ]);
+    assert.deepEqual(results.map(({ jobId }) => jobId), promises.map(promise => promise.jobId));
+    assert.deepEqual(handler.calls, [ [ 1, 2, 3 ], [ 4, 5 ] ]); // the last one after maxWaitMs
+    assert.equal(results[0].batchId, results[2].batchId);
+    assert.notEqual(results[2].batchId, results[3].batchId);
+  });
+
+  it('a batch should be run maxWaitMs after its first payload was pushed', async function() {
+    const handler = makeDoubler();
+    const q = qyu({ log, batch: { handler, maxBatchSize: 100, maxWaitMs: 50 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    const t0 = Date.now();
+    const promise = q.push(1);
+    await helpers.wait(20);
+    q.push(2);
+    await promise;
+    const elapsed = Date.now() - t0;
+    assert(elapsed >= 45 && elapsed < 150, `batch ran after ${elapsed} ms`);
+    assert.deepEqual(handler.calls, [ [ 1, 2 ] ]);
+  });
+
+  it('each payload should get its own error', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true, batch: { handler: makeDoubler(), maxBatchSize: 2 } });
+    const errors = [];
+    q.on('error', ({ jobId, error }) => errors.push([ jobId, error.message ]));
+    const ok = q.push(1);
+    const notOk = q.push('a');
+    await q.start();
+    assert.equal((await ok).jobResult, 2);
+    await assert.rejects(notOk, ({ jobId, error }) => jobId === notOk.jobId && error instanceof TypeError);
+    assert.deepEqual(errors, [ [ notOk.jobId, 'not a number: a' ] ]);
+  });
+
+  it('a failing batch should fail all its payloads, after retries', async function() {
+    let attempts = 0;
+    const handler = async () => {
+      ++attempts;
+      throw new Error('index unavailable');
+    };
+    const q = qyu({ log, rejectErrorsOnPush: true, retry: { attempts: 2, delay: 1 }, batch: { handler, maxBatchSize: 2 } });
+    q.on('error', () => {});
+    const promises = [ q.push(1), q.push(2) ];
+    await q.start();
+    for (const promise of promises) {
+      await assert.rejects(promise, ({ jobId, error }) => jobId === promise.jobId && error.message === 'index unavailable');
+    }
+    assert.equal(attempts, 2);
+  });
+
+  it('a failing batch should emit an error for each payload, without rejectErrorsOnPush', async function() {
+    const handler = async () => { throw new Error('index unavailable'); };
+    const q = qyu({ log, deadLetterSize: 10, batch: { handler, maxBatchSize: 2 } });
+    const errors = [];
+    q.on('error', ({ jobId, error }) => errors.push([ jobId, error.message ]));
+    const promises = [ q.push(1), q.push(2) ];
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(errors, promises.map(promise => [ promise.jobId, 'index unavailable' ]));
+    assert.deepEqual(q.listDeadLetters(), []); // payloads are not jobs that can be requeued
+  });
+
+  it('outcomes should be reported with the ids of payloads, not of batches', async function() {
+    const q = qyu({ log, batch: { handler: makeDoubler(), maxBatchSize: 3 } });
+    q.on('error', () => {});
+    const done = [];
+    q.on('done', ({ jobId, jobResult }) => done.push([ jobId, jobResult ]));
+    const results = q.results();
+    const promises = [ q.push(1), q.push('a'), q.push(3) ];
+    await q.start();
+    const outcomes = [];
+    for await (const outcome of results) {
+      outcomes.push(outcome);
+    }
+    const [ one, a, three ] = promises.map(promise => promise.jobId);
+    assert.deepEqual(done, [ [ one, 2 ], [ three, 6 ] ]);
+    assert.deepEqual(outcomes.map(({ jobId }) => jobId), [ one, a, three ]);
+    assert.equal(outcomes[1].error.message, 'not a number: a');
+  });
+
+  it('a cancelled batch should emit cancelled for each payload', async function() {
+    const q = qyu({ log, batch: { handler: makeDoubler(), maxBatchSize: 2 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const cancelled = [];
+    q.on('cancelled', ({ jobId }) => cancelled.push(jobId));
+    const promises = [ q.push(1), q.push(2) ]; // pushes the batch job, which does not run until start()
+    const [ { jobId: batchId } ] = q.list({ state: 'pending' });
+    q.cancel(batchId);
+    const outcomes = await Promise.all(promises);
+    assert.deepEqual(cancelled, promises.map(promise => promise.jobId));
+    outcomes.forEach(outcome => {
+      assert.equal(outcome.batchId, batchId);
+      assert(outcome.cancelled);
+      assert(outcome.reason instanceof qyu.CancelError);
+    });
+  });
+
+  it('a handler that does not return one result per payload should fail them', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true, batch: { handler: async () => [ 1 ], maxBatchSize: 2 } });
+    q.on('error', () => {});
+    const promises = [ q.push(1), q.push(2) ];
+    await q.start();
+    await assert.rejects(promises[1], ({ error }) => /must return an array of 2 results/.test(error.message));
+  });
+
+  it('payloads should be grouped by priority', async function() {
+    const handler = makeDoubler();
+    const q = qyu({ log, batch: { handler, maxBatchSize: 2, maxWaitMs: 10 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    q.push(1, { priority: 5 });
+    q.push(2, { priority: 1 });
+    q.push(3, { priority: 5 }); // completes the batch of priority 5
+    q.push(4, { priority: 1 }); // completes the batch of priority 1, which runs first
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(handler.calls, [ [ 2, 4 ], [ 1, 3 ] ]);
+  });
+
+  it('with countItems, each payload should count against the rate limit', async function() {
+    const measure = async (countItems) => {
+      const rateLimit = { limit: 4, intervalMs: 200 };
+      const q = qyu({ log, rateLimit, rateStrategy: 'slidingWindow', batch: { handler: makeDoubler(), maxBatchSize: 2, countItems } });
+      q.on('error', helpers.throwOnErrorEvent);
+      const promises = new Array(8).fill(0).map((_, i) => q.push(i));
+      const t0 = Date.now();
+      await q.start();
+      await Promise.all(promises);
+      return Date.now() - t0;
+    };
+    const batchesOnly = await measure(false); // 4 batches of 2 payloads, within the limit
+    const items = await measure(true); // 8 payloads: the last 2 batches wait for the next window
+    assert(batchesOnly < 100, `batches took ${batchesOnly} ms`);
+    assert(items >= 190, `batches took ${items} ms`);
+  });
+
+  it('with countItems, a batch should wait until all its payloads fit in the limits', async function() {
+    const handler = makeDoubler();
+    const q = qyu({ log, rateLimit: 5, rateStrategy: 'slidingWindow', batch: { handler, maxBatchSize: 4, maxWaitMs: 10, countItems: true } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const promises = new Array(8).fill(0).map((_, i) => q.push(i));
+    const t0 = Date.now();
+    await q.start();
+    await promises[3];
+    const first = Date.now() - t0;
+    await promises[7];
+    const second = Date.now() - t0;
+    assert(first < 100, `first batch ran after ${first} ms`);
+    assert(second >= 950, `second batch ran after ${second} ms`); // 4 + 4 payloads > 5 per second
+  });
+
+  it('the constructor should require a batch handler, and a maxBatchSize that fits in the limits', function() {
+    assert.throws(() => qyu({ log, batch: { maxBatchSize: 10 } }), /batch.handler must be a function/);
+    const handler = makeDoubler();
+    assert.throws(() => qyu({ log, rateLimit: 5, batch: { handler, maxBatchSize: 50, countItems: true } }),
+      /batch.maxBatchSize must not exceed 5 with countItems/);
+    assert.throws(() => qyu({ log, rateLimit: 5, rateStrategy: 'tokenBucket', burst: 2, batch: { handler, maxBatchSize: 3, countItems: true } }),
+      /must not exceed 2/);
+    qyu({ log, rateLimit: 5, batch: { handler, maxBatchSize: 50 } }); // each batch counts as one job
+  });
+
+  it('push() should reject dedupeKey in batch mode', function() {
+    const q = qyu({ log, batch: { handler: makeDoubler() } });
+    assert.throws(() => q.push(1, { dedupeKey: 'k' }), /dedupeKey is not supported in batch mode/);
+  });
+
+  it('push() should reject every option but priority in batch mode', function() {
+    const q = qyu({ log, batch: { handler: makeDoubler(), maxWaitMs: 1 } });
+    const options = { delay: 10, runAt: new Date(), dependsOn: [ 0 ], key: 'k', timeout: 10, retry: { attempts: 2 } };
+    Object.keys(options).forEach(name => {
+      assert.throws(() => q.push(1, { [name]: options[name] }), new RegExp(`^Error: ${name} is not supported in batch mode`));
+    });
+    q.push(1, { priority: 2 });
+    assert.equal(q.batches.size, 1);
+  });
+
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('job cancellation', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('push() should expose the job id up front', async function() {
+    const q = qyu({ log });
+    const pushPromise = q.push(helpers.makeWait(5));
+    assert.equal(typeof pushPromise.jobId, 'number');
+    await q.start();
+    const { jobId } = await pushPromise;
+    assert.equal(jobId, pushPromise.jobId);
+  });
+
+  it('cancelling a pending job should remove it from the queue', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const jobs = [ helpers.makeSpyJob(10), helpers.makeSpyJob(10) ];
+    const pushPromises = jobs.map(job => q.push(job));
+    const cancelled = helpers.received(q, 'cancelled');
+    assert.equal(q.cancel(pushPromises[0].jobId), true);
+    const { jobId, reason } = await cancelled;
+    assert.equal(jobId, pushPromises[0].jobId);
+    assert(reason instanceof qyu.CancelError);
+    const res = await pushPromises[0];
+    assert.equal(res.cancelled, true);
+    assert(res.reason instanceof qyu.CancelError);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(jobs.map(job => job.done), [ false, true ]);
+  });
+
+  it('cancelling a running job should abort its signal and free its slot', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    let signal;
+    const pushPromise = q.push((ctx) => {
+      signal = ctx.signal;
+      return new Promise(() => {}); // never ends
+    });
+    const nextJob = helpers.makeSpyJob(5);
+    const nextPushPromise = q.push(nextJob);
+    await q.start();
+    assert.equal(q.cancel(pushPromise.jobId), true);
+    assert.equal(signal.aborted, true);
+    assert(signal.reason instanceof qyu.CancelError);
+    await nextPushPromise;
+    assert.equal(nextJob.done, true);
+    await q.pause();
+  });
+
+  it('cancelling the last job should emit drain', async function() {
+    const q = qyu({ log });
+    const pushPromise = q.push(() => new Promise(() => {})); // never ends
+    await q.start();
+    const drained = helpers.received(q, 'drain');
+    q.cancel(pushPromise.jobId);
+    await drained;
+  });
+
+  it('cancelling a job waiting for a retry should prevent the retry', async function() {
+    const q = qyu({ log, retry: { delay: 20, jitter: 0 } });
+    let calls = 0;
+    const pushPromise = q.push(async function job() {
+      ++calls;
+      throw Error('failure');
+    });
+    q.on('retry', () => q.cancel(pushPromise.jobId));
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    assert.equal((await pushPromise).cancelled, true);
+    await helpers.wait(30);
+    assert.equal(calls, 1);
+  });
+
+  it('cancelled jobs should reject push() promise if rejectErrorsOnPush', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    const pushPromise = q.push(helpers.makeWait(5));
+    q.cancel(pushPromise.jobId);
+    await assert.rejects(pushPromise, ({ error }) => error instanceof qyu.CancelError);
+  });
+
+  it('cancel() should return false for unknown or ended jobs', async function() {
+    const q = qyu({ log });
+    const pushPromise = q.push(helpers.makeWait(5));
+    await q.start();
+    await pushPromise;
+    assert.equal(q.cancel(pushPromise.jobId), false);
+    assert.equal(q.cancel(-1), false);
+  });
+
+});
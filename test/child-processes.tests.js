@@ -0,0 +1,95 @@
+const assert = require('assert');
+const path = require('path');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+const PARSE_JOB = path.join(__dirname, 'fixtures', 'parse-job.js');
+
+// returns a job object that makes parse-job.js perform `action`
+const parseJob = (action, payload) => ({ module: PARSE_JOB, payload: Object.assign({ action }, payload) });
+
+describe('child processes', function() {
+
+  this.timeout(10000); // starting processes can be slow on CI
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a module job should run in a child process, with its payload and context', async function() {
+    const q = qyu({ log, executor: 'process' });
+    q.on('error', helpers.throwOnErrorEvent);
+    const progress = helpers.received(q, 'progress');
+    await q.start();
+    const { jobResult } = await q.push(parseJob('double', { value: 4 }));
+    assert.equal(jobResult.doubled, 8);
+    const pid = (await q.push(parseJob('pid'))).jobResult;
+    assert.notEqual(pid, process.pid);
+    assert.equal((await q.push(parseJob('progress'))).jobResult, 'reported');
+    assert.equal((await progress).details, 'halfway');
+    assert.equal((await q.push(parseJob('pid'))).jobResult, pid); // the process was reused
+  });
+
+  it('the executor can be chosen for each job', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    const inWorker = (await q.push(parseJob('pid'))).jobResult;
+    const inProcess = (await q.push(parseJob('pid'), { executor: 'process' })).jobResult;
+    assert.equal(inWorker, process.pid); // worker threads share the pid of their process
+    assert.notEqual(inProcess, process.pid);
+  });
+
+  it('errors throwed by the job should be reported as is', async function() {
+    const q = qyu({ log, executor: 'process', rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(q.push(parseJob('throw', { message: 'bad html' })),
+      ({ error }) => error.name === 'TypeError' && error.message === 'bad html' && error.code === 'E_PARSE');
+  });
+
+  it('a crash should fail the job with its exit code and the tail of stderr', async function() {
+    const q = qyu({ log, executor: 'process', rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(q.push(parseJob('stderr')), ({ error }) => error instanceof qyu.ProcessExitError
+      && error.exitCode === 3 && error.stderr === 'some details about the crash\n');
+    await assert.rejects(q.push(parseJob('crash')), ({ error }) => error instanceof qyu.ProcessExitError
+      && error.exitCode === 1 && /Error: crashed/.test(error.stderr));
+    assert.equal((await q.push(parseJob('double', { value: 1 }))).jobResult.doubled, 2); // in a new process
+  });
+
+  it('a process should be killed when it exceeds its memory cap', async function() {
+    const q = qyu({ log, executor: 'process', executorOptions: { maxMemoryMb: 32 }, rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(q.push(parseJob('leak')), ({ error }) => error instanceof qyu.ProcessExitError
+      && /heap out of memory/.test(error.stderr));
+  });
+
+  it('a process should be killed when its job exceeds the wall-clock limit', async function() {
+    const q = qyu({ log, executor: 'process', executorOptions: { wallClockLimit: 1000 }, rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(q.push(parseJob('spin', { ms: 5000 })), ({ error }) => error.signal === 'SIGKILL'
+      && error.message === 'job exceeded the wall-clock limit of 1000 ms');
+    assert.equal((await q.push(parseJob('spin', { ms: 10 }))).jobResult, 'spun');
+  });
+
+  it('processes should be recycled after maxJobsPerProcess jobs', async function() {
+    const q = qyu({ log, executor: 'process', executorOptions: { maxJobsPerProcess: 2 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    const pids = [];
+    for (let i = 0; i < 4; ++i) {
+      pids.push((await q.push(parseJob('pid'))).jobResult);
+    }
+    assert.equal(pids[0], pids[1]);
+    assert.notEqual(pids[1], pids[2]);
+    assert.equal(pids[2], pids[3]);
+  });
+
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('close', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('push(), schedule() and start() should throw after close()', async function() {
+    const q = qyu({ log });
+    await q.close();
+    assert.throws(() => q.push(async () => 1), /queue is closed/);
+    assert.throws(() => q.schedule('recurring', async () => 1, { every: 1000 }), /queue is closed/);
+    await assert.rejects(q.start(), /queue is closed/);
+  });
+
+  it('running jobs should finish, and other jobs should be cancelled', async function() {
+    const q = qyu({ log, concurrency: 1 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const running = q.push(helpers.makeWait(30));
+    const pending = q.push(helpers.makeWait(30));
+    const scheduled = q.push(helpers.makeWait(30), { delay: 1000 });
+    const blocked = q.push(helpers.makeWait(30), { dependsOn: [ pending.jobId ] });
+    await q.start();
+    const t0 = Date.now();
+    const { stragglers } = await q.close();
+    assert(Date.now() - t0 >= 25, 'close() should wait for the running job');
+    assert.deepEqual(stragglers, []);
+    assert.equal((await running).jobResult, undefined);
+    for (const promise of [ pending, scheduled, blocked ]) {
+      const { cancelled, reason } = await promise;
+      assert(cancelled);
+      assert(reason instanceof qyu.CancelError);
+    }
+    assert.equal(q.activeJobs.size, 0);
+  });
+
+  it('jobs still running at the deadline should be reported as stragglers', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const slow = q.push(helpers.makeWait(100));
+    await q.start();
+    const t0 = Date.now();
+    const { stragglers } = await q.close({ timeoutMs: 20 });
+    assert(Date.now() - t0 < 80, 'close() should not wait after the deadline');
+    assert.deepEqual(stragglers, [ slow.jobId ]);
+    assert.equal(q.getJob(slow.jobId).state, 'running');
+    await slow; // was not aborted
+  });
+
+  it('stragglers that fail after the deadline should not be retried', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true, retry: { attempts: 3, delay: 1 } });
+    q.on('error', () => {});
+    const failing = q.push(async () => { await helpers.wait(30); throw new Error('failed'); });
+    await q.start();
+    const { stragglers } = await q.close({ timeoutMs: 10 });
+    assert.deepEqual(stragglers, [ failing.jobId ]);
+    const drained = helpers.received(q, 'drain');
+    await assert.rejects(failing, ({ error }) => error.message === 'failed');
+    await drained;
+    assert.equal(q.getJob(failing.jobId).attempts, 1);
+    assert.equal(q.counts().pending, 0);
+  });
+
+  it('with abortRunning, stragglers should be aborted at the deadline', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    let aborted = false;
+    const slow = q.push(({ signal }) => new Promise(resolve => {
+      const timer = setTimeout(resolve, 1000);
+      signal.addEventListener('abort', () => { aborted = true; clearTimeout(timer); resolve(); });
+    }));
+    await q.start();
+    const { stragglers } = await q.close({ timeoutMs: 20, abortRunning: true });
+    assert.deepEqual(stragglers, [ slow.jobId ]);
+    assert(aborted);
+    const { cancelled } = await slow;
+    assert(cancelled);
+  });
+
+  it('pending batches and push promises should be settled', async function() {
+    const handler = async payloads => payloads;
+    const q = qyu({ log, batch: { handler, maxBatchSize: 10, maxWaitMs: 1000 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    const promises = [ q.push(1), q.push(2) ];
+    await q.close();
+    const outcomes = await Promise.all(promises);
+    outcomes.forEach(({ cancelled }) => assert(cancelled));
+  });
+
+  it('close() should stop the stats interval, and return the same promise when called again', async function() {
+    const q = qyu({ log, statsInterval: 10 });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    const closing = q.close();
+    assert.strictEqual(q.close({ timeoutMs: 1 }), closing);
+    await closing;
+    assert.equal(q.rateLimiter.statsInterval, null);
+  });
+
+  it('closeOnSignals() should close the queue when the process receives a signal', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const listeners = process.listenerCount('SIGTERM');
+    q.closeOnSignals({ exit: false });
+    assert.equal(process.listenerCount('SIGTERM'), listeners + 1);
+    const job = q.push(helpers.makeWait(10));
+    await q.start();
+    process.emit('SIGTERM', 'SIGTERM');
+    assert.equal(process.listenerCount('SIGTERM'), listeners); // a second signal would stop the process
+    assert.throws(() => q.push(async () => 1), /queue is closed/);
+    await job;
+  });
+
+  it('the function returned by closeOnSignals() should remove the handlers', function() {
+    const q = qyu({ log });
+    const listeners = process.listenerCount('SIGINT');
+    const removeHandlers = q.closeOnSignals({ signals: [ 'SIGINT' ] });
+    assert.equal(process.listenerCount('SIGINT'), listeners + 1);
+    removeHandlers();
+    assert.equal(process.listenerCount('SIGINT'), listeners);
+  });
+
+});
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// pushes nbJobs jobs that wait ms milliseconds, and keeps track of the max number of jobs running at the same time
+function pushMonitoredJobsTo(q, nbJobs, ms) {
+  const monitor = { running: 0, maxRunning: 0, done: 0 };
+  const job = async function monitoredJob() {
+    monitor.maxRunning = Math.max(monitor.maxRunning, ++monitor.running);
+    await helpers.wait(ms);
+    --monitor.running;
+    ++monitor.done;
+  };
+  helpers.pushMultipleJobsTo(q, nbJobs, job);
+  return monitor;
+}
+
+describe('concurrency limit', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('without options, jobs should run one at a time', async function() {
+    const q = qyu({ log });
+    const monitor = pushMonitoredJobsTo(q, 5, 5);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(monitor.maxRunning, 1);
+  });
+
+  it('concurrency without rateLimit should cap the number of running jobs', async function() {
+    const CONCURRENCY = 3;
+    const q = qyu({ log, concurrency: CONCURRENCY });
+    const monitor = pushMonitoredJobsTo(q, 10, 10);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(monitor.maxRunning, CONCURRENCY);
+    assert.equal(monitor.done, 10);
+  });
+
+  it('concurrency should cap the number of running jobs, under a higher rateLimit', async function() {
+    const CONCURRENCY = 2;
+    const q = qyu({ log, concurrency: CONCURRENCY, rateLimit: 50 });
+    const monitor = pushMonitoredJobsTo(q, 10, 10);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(monitor.maxRunning, CONCURRENCY);
+  });
+
+  it('rateLimit should cap the number of jobs per second, under a higher concurrency', async function() {
+    const RATE_LIMIT = 3;
+    const q = qyu({ log, concurrency: 10, rateLimit: RATE_LIMIT });
+    const monitor = pushMonitoredJobsTo(q, 5, 10);
+    await q.start();
+    await helpers.wait(200);
+    assert.equal(monitor.maxRunning, RATE_LIMIT);
+    assert.equal(monitor.done, RATE_LIMIT);
+    await q.pause();
+  });
+
+  it('stats should report running jobs, concurrency and rateLimit', async function() {
+    const q = qyu({ log, concurrency: 4, rateLimit: 20, statsInterval: 10 });
+    pushMonitoredJobsTo(q, 4, 30);
+    await q.start();
+    const stats = await helpers.received(q, 'stats');
+    assert.equal(stats.running, 4);
+    assert.equal(stats.concurrency, 4);
+    assert.equal(stats.rateLimit, 20);
+    await q.pause();
+  });
+
+  it('stats should report implicit concurrency limits', async function() {
+    const series = qyu({ log, statsInterval: 10 });
+    const parallel = qyu({ log, rateLimit: 20, statsInterval: 10 });
+    [ series, parallel ].forEach(q => pushMonitoredJobsTo(q, 1, 30));
+    await Promise.all([ series.start(), parallel.start() ]);
+    const stats = await Promise.all([ helpers.received(series, 'stats'), helpers.received(parallel, 'stats') ]);
+    assert.equal(stats[0].concurrency, 1);
+    assert.equal(stats[0].rateLimit, null);
+    assert.equal(stats[1].concurrency, Infinity);
+    await Promise.all([ series.pause(), parallel.pause() ]);
+  });
+
+});
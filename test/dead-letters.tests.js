@@ -0,0 +1,174 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// returns a job that fails until `fixed.value` is set to true
+const makeFlakyJob = (fixed) => async () => {
+  if (!fixed.value) throw new Error('not fixed yet');
+  return 'fixed';
+};
+
+describe('dead-letter store', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('failed jobs should be kept with their error, attempts and timestamps', async function() {
+    const q = qyu({ log, retry: { attempts: 2, delay: 1 } });
+    q.on('error', () => {});
+    const deadLetters = [];
+    q.on('deadLetter', deadLetter => deadLetters.push(deadLetter));
+    const job = makeFlakyJob({ value: false });
+    const failing = q.push(job, { priority: 3 });
+    q.push(async () => 'ok');
+    const drained = helpers.received(q, 'drain');
+    const t0 = new Date();
+    await q.start();
+    await drained;
+    assert.equal(deadLetters.length, 1);
+    const [ deadLetter ] = q.listDeadLetters();
+    assert.deepEqual(deadLetters[0], deadLetter);
+    assert.equal(deadLetter.jobId, failing.jobId);
+    assert.equal(deadLetter.error.message, 'not fixed yet');
+    assert.equal(deadLetter.attempts, 2);
+    assert.equal(deadLetter.priority, 3);
+    assert(deadLetter.pushedAt <= t0 && t0 <= deadLetter.startedAt && deadLetter.startedAt <= deadLetter.failedAt);
+    const inspected = q.getDeadLetter(failing.jobId);
+    assert.equal(inspected.job, job);
+    assert.equal(inspected.opts.priority, 3);
+    assert.equal(q.getDeadLetter(-1), null);
+  });
+
+  it('a requeued job should keep its id, and settle its original push promise', async function() {
+    const q = qyu({ log });
+    const fixed = { value: false };
+    const errors = [];
+    q.on('error', ({ jobId }) => errors.push(jobId));
+    const original = q.push(makeFlakyJob(fixed));
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(errors, [ original.jobId ]);
+    fixed.value = true;
+    const requeued = q.requeueDeadLetter(original.jobId);
+    assert.equal(requeued.jobId, original.jobId);
+    assert.deepEqual(q.listDeadLetters(), []);
+    assert.deepEqual(await requeued, { jobId: original.jobId, jobResult: 'fixed' });
+    assert.deepEqual(await original, { jobId: original.jobId, jobResult: 'fixed' });
+    assert.throws(() => q.requeueDeadLetter(original.jobId), /unknown dead letter/);
+  });
+
+  it('a job can be requeued with a new priority', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    const order = [];
+    const failing = q.push(async () => { throw new Error('failed'); });
+    await assert.rejects(q.start().then(() => failing));
+    await q.pause();
+    q.push(async () => order.push('other'), { priority: 5 });
+    const requeued = q.requeueDeadLetter(failing.jobId, { priority: 1 });
+    requeued.catch(() => {});
+    q.on('error', () => order.push('requeued'));
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(order, [ 'requeued', 'other' ]);
+    await assert.rejects(requeued, ({ jobId }) => jobId === failing.jobId);
+    assert.equal(q.listDeadLetters().length, 1);
+  });
+
+  it('jobs that failed because of a dependency can be requeued after it', async function() {
+    const q = qyu({ log });
+    q.on('error', () => {});
+    const fixed = { value: false };
+    const parent = q.push(makeFlakyJob(fixed));
+    const child = q.push(async ({ dependencies }) => dependencies[parent.jobId] + '!', {
+      dependsOn: [ parent.jobId ]
+    });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(q.listDeadLetters().map(({ jobId }) => jobId), [ parent.jobId, child.jobId ]);
+    fixed.value = true;
+    q.requeueDeadLetter(parent.jobId);
+    q.requeueDeadLetter(child.jobId);
+    assert.equal((await child).jobResult, 'fixed!');
+  });
+
+  it('a job should not be requeued if a job it depends on is not known anymore', async function() {
+    const q = qyu({ log, historySize: 1 });
+    q.on('error', () => {});
+    const fixed = { value: false };
+    const parent = q.push(makeFlakyJob(fixed));
+    const child = q.push(async ({ dependencies }) => dependencies[parent.jobId] + '!', {
+      dependsOn: [ parent.jobId ]
+    });
+    await q.start();
+    await helpers.received(q, 'drain');
+    await q.push(async () => 1); // evicts the parent from the history, not from the dead-letter store
+    assert.throws(() => q.requeueDeadLetter(child.jobId), new RegExp(`unknown dependency: job ${parent.jobId}`));
+    assert.equal(q.listDeadLetters().length, 2);
+    fixed.value = true;
+    q.requeueDeadLetter(parent.jobId);
+    q.requeueDeadLetter(child.jobId);
+    assert.equal((await child).jobResult, 'fixed!');
+  });
+
+  it('requeueing a job should apply the overflow policy of a full queue', async function() {
+    const q = qyu({ log, maxQueueSize: 1 });
+    q.on('error', () => {});
+    const failing = q.push(async () => { throw new Error('failed'); });
+    await q.start();
+    await helpers.received(q, 'drain');
+    await q.pause();
+    q.push(async () => 1, { priority: 5 });
+    assert.throws(() => q.requeueDeadLetter(failing.jobId), qyu.QueueFullError);
+    assert.equal(q.listDeadLetters().length, 1); // still there
+    const q2 = qyu({ log, maxQueueSize: 1, overflow: 'dropLowest' });
+    q2.on('error', () => {});
+    const failing2 = q2.push(async () => { throw new Error('failed'); });
+    await q2.start();
+    await helpers.received(q2, 'drain');
+    await q2.pause();
+    const dropped = q2.push(async () => 1, { priority: 5 });
+    q2.requeueDeadLetter(failing2.jobId, { priority: 1 });
+    assert(((await dropped).reason) instanceof qyu.QueueFullError);
+    assert.equal(q2.counts().pending, 1);
+    q2.cancel(failing2.jobId);
+    q.list({ state: 'pending' }).forEach(({ jobId }) => q.cancel(jobId));
+  });
+
+  it('failed jobs should be purged, and the oldest ones forgotten', async function() {
+    const q = qyu({ log, deadLetterSize: 3 });
+    q.on('error', () => {});
+    const promises = [];
+    for (let i = 0; i < 5; ++i) {
+      promises.push(q.push(async () => { throw new Error('failed'); }));
+    }
+    const ids = promises.map(({ jobId }) => jobId);
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(q.listDeadLetters().map(({ jobId }) => jobId), ids.slice(2));
+    assert.equal(q.purgeDeadLetters([ ids[0], ids[2] ]), 1);
+    assert.deepEqual(q.listDeadLetters().map(({ jobId }) => jobId), ids.slice(3));
+    assert.equal(q.purgeDeadLetters(), 2);
+    assert.deepEqual(q.listDeadLetters(), []);
+  });
+
+  it('the dead-letter store can be disabled', async function() {
+    const q = qyu({ log, deadLetterSize: 0 });
+    q.on('error', () => {});
+    q.on('deadLetter', () => { throw new Error('unexpected deadLetter event'); });
+    q.push(async () => { throw new Error('failed'); });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(q.listDeadLetters(), []);
+  });
+
+});
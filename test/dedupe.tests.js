@@ -0,0 +1,81 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('deduplication', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a job whose dedupeKey matches a pending or running job should not be pushed', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const calls = [];
+    const crawl = url => async () => { calls.push(url); await helpers.wait(10); return url; };
+    const first = q.push(crawl('a'), { dedupeKey: 'a' });
+    assert.strictEqual(q.push(crawl('a'), { dedupeKey: 'a' }), first); // pending
+    const other = q.push(crawl('b'), { dedupeKey: 'b' });
+    await q.start();
+    assert.strictEqual(q.push(crawl('a'), { dedupeKey: 'a' }), first); // running
+    assert.deepEqual(await first, { jobId: first.jobId, jobResult: 'a' });
+    await other;
+    assert.notStrictEqual(q.push(crawl('a'), { dedupeKey: 'a' }), first); // finished
+    await helpers.received(q, 'drain');
+    assert.deepEqual(calls, [ 'a', 'b', 'a' ]);
+  });
+
+  it('a finished job should keep its dedupeKey for dedupeTtl ms', async function() {
+    const q = qyu({ log, dedupeTtl: 50 });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    const first = q.push(async () => 1, { dedupeKey: 'a' });
+    await first;
+    assert.strictEqual(q.push(async () => 2, { dedupeKey: 'a' }), first);
+    await helpers.wait(60);
+    const second = q.push(async () => 2, { dedupeKey: 'a' });
+    assert.equal((await second).jobResult, 2);
+  });
+
+  it('a cancelled job should release its dedupeKey right away', async function() {
+    const q = qyu({ log, dedupeTtl: 1000 });
+    const first = q.push(async () => 1, { dedupeKey: 'a' });
+    q.cancel(first.jobId);
+    assert.notStrictEqual(q.push(async () => 2, { dedupeKey: 'a' }), first);
+  });
+
+  it('with raisePriority, a duplicate should raise the priority of a pending job', async function() {
+    const q = qyu({ log, dedupePolicy: 'raisePriority' });
+    q.on('error', helpers.throwOnErrorEvent);
+    const order = [];
+    const job = name => async () => order.push(name);
+    q.push(job('a'), { priority: 5 });
+    const b = q.push(job('b'), { priority: 9, dedupeKey: 'b' });
+    assert.strictEqual(q.push(job('b2'), { priority: 1, dedupeKey: 'b' }), b);
+    assert.strictEqual(q.push(job('b3'), { priority: 7, dedupeKey: 'b' }), b); // lower: ignored
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(order, [ 'b', 'a' ]);
+  });
+
+  it('with keepFirst, a duplicate should not change the priority of the job', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const order = [];
+    const job = name => async () => order.push(name);
+    q.push(job('a'), { priority: 5 });
+    q.push(job('b'), { priority: 9, dedupeKey: 'b' });
+    q.push(job('b2'), { priority: 1, dedupeKey: 'b' });
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(order, [ 'a', 'b' ]);
+  });
+
+  it('the constructor should reject unknown dedupe policies', function() {
+    assert.throws(() => qyu({ log, dedupePolicy: 'replace' }), /unknown dedupe policy: replace/);
+  });
+
+});
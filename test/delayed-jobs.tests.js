@@ -0,0 +1,122 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// returns a job that records the date when it was started, relative to t0
+const makeTimedJob = (t0, startDates) => async function timedJob() {
+  startDates.push(Date.now() - t0);
+};
+
+describe('delayed jobs', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a job should not run before its delay', async function() {
+    const DELAY = 50;
+    const q = qyu({ log });
+    const startDates = [];
+    const pushPromise = q.push(makeTimedJob(Date.now(), startDates), { delay: DELAY });
+    await q.start();
+    await pushPromise;
+    assert(startDates[0] >= DELAY, 'job was started after ' + startDates[0] + ' ms');
+  });
+
+  it('a job should not run before runAt', async function() {
+    const q = qyu({ log });
+    const startDates = [];
+    const t0 = Date.now();
+    const pushPromise = q.push(makeTimedJob(t0, startDates), { runAt: new Date(t0 + 40) });
+    await q.start();
+    await pushPromise;
+    assert(startDates[0] >= 40, 'job was started after ' + startDates[0] + ' ms');
+  });
+
+  it('a timer that fires before runAt should be re-armed', async function() {
+    const q = qyu({ log });
+    const realNow = Date.now;
+    const t0 = realNow();
+    let startDate;
+    const pushPromise = q.push(async () => startDate = realNow() - t0, { delay: 20 });
+    Date.now = () => realNow() - 15; // the clock of the queue lags behind its timers
+    try {
+      await q.start();
+      await pushPromise;
+    } finally {
+      Date.now = realNow;
+    }
+    assert(startDate >= 35, 'job was started after ' + startDate + ' ms'); // i.e. not by the first timer
+  });
+
+  it('a runAt in the past should run the job right away', async function() {
+    const q = qyu({ log });
+    const job = helpers.makeSpyJob(5);
+    const pushPromise = q.push(job, { runAt: Date.now() - 1000 });
+    await q.start();
+    await q.pause();
+    assert.equal(job.done, true);
+    await pushPromise;
+  });
+
+  it('jobs that are not delayed should run first', async function() {
+    const q = qyu({ log, concurrency: 3 });
+    const order = [];
+    q.push(async () => order.push('delayed'), { delay: 20, priority: 1 });
+    q.push(async () => order.push('immediate'), { priority: 10 });
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(order, [ 'immediate', 'delayed' ]);
+  });
+
+  it('once due, delayed jobs should be run in order of priority', async function() {
+    const q = qyu({ log });
+    const order = [];
+    q.push(helpers.makeWait(40)); // keeps the queue busy while other jobs become due
+    q.push(async () => order.push('low'), { delay: 10, priority: 8 });
+    q.push(async () => order.push('high'), { delay: 20, priority: 2 });
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(order, [ 'high', 'low' ]);
+  });
+
+  it('drain should wait for delayed jobs', async function() {
+    const q = qyu({ log });
+    const job = helpers.makeSpyJob(5);
+    q.push(job, { delay: 30 });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.equal(job.done, true);
+  });
+
+  it('delayed jobs should still be subject to pause()', async function() {
+    const q = qyu({ log });
+    const job = helpers.makeSpyJob(5);
+    q.push(job, { delay: 10 });
+    await q.start();
+    await q.pause();
+    await helpers.wait(30);
+    assert.equal(job.done, false);
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.equal(job.done, true);
+  });
+
+  it('delayed jobs should be cancellable', async function() {
+    const q = qyu({ log });
+    const job = helpers.makeSpyJob(5);
+    const pushPromise = q.push(job, { delay: 20 });
+    await q.start();
+    const drained = helpers.received(q, 'drain');
+    assert.equal(q.cancel(pushPromise.jobId), true);
+    await drained;
+    await helpers.wait(30);
+    assert.equal(job.done, false);
+  });
+
+});
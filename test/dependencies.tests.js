@@ -0,0 +1,123 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('job dependencies', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a job should wait for its dependencies, and receive their results', async function() {
+    const q = qyu({ log, concurrency: 10 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const order = [];
+    const fetch = q.push(async () => { await helpers.wait(20); order.push('fetch'); return 'html'; });
+    const parse = q.push(async ({ dependencies }) => {
+      order.push('parse');
+      return dependencies[fetch.jobId].toUpperCase();
+    }, { dependsOn: [ fetch.jobId ] });
+    const index = q.push(async ({ dependencies }) => {
+      order.push('index');
+      return dependencies;
+    }, { dependsOn: [ fetch.jobId, parse.jobId ] });
+    await q.start();
+    const { jobResult } = await index;
+    assert.deepEqual(order, [ 'fetch', 'parse', 'index' ]);
+    assert.deepEqual(jobResult, { [fetch.jobId]: 'html', [parse.jobId]: 'HTML' });
+  });
+
+  it('a job should run right away if its dependencies already succeeded', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const first = q.push(async () => 1);
+    await q.start();
+    await first;
+    const { jobResult } = await q.push(async ({ dependencies }) => dependencies[first.jobId] + 1, {
+      dependsOn: first.jobId
+    });
+    assert.equal(jobResult, 2);
+  });
+
+  it('a job should fail when one of its dependencies fails, and so on', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    const errors = [];
+    q.on('error', ({ jobId, error }) => errors.push(jobId));
+    const failing = q.push(async () => { throw Error('boom'); });
+    const child = q.push(async () => 'never', { dependsOn: [ failing.jobId ] });
+    const grandChild = q.push(async () => 'never', { dependsOn: [ child.jobId ] });
+    [ failing, child, grandChild ].forEach(p => p.catch(() => {}));
+    await q.start();
+    await assert.rejects(child, ({ error }) => error instanceof qyu.DependencyError
+      && error.dependencyId === failing.jobId && error.cause.message === 'boom');
+    await assert.rejects(grandChild, ({ error }) => error.dependencyId === child.jobId);
+    assert.deepEqual(errors, [ failing.jobId, child.jobId, grandChild.jobId ]);
+    await assert.rejects(q.push(async () => 'never', { dependsOn: [ failing.jobId ] }),
+      ({ error }) => error instanceof qyu.DependencyError);
+  });
+
+  it('a job should be cancelled when one of its dependencies is cancelled', async function() {
+    const q = qyu({ log });
+    const first = q.push(async () => 1);
+    const second = q.push(async () => 2, { dependsOn: [ first.jobId ] });
+    const cancelled = [];
+    q.on('cancelled', ({ jobId }) => cancelled.push(jobId));
+    q.cancel(first.jobId);
+    assert.deepEqual(cancelled, [ first.jobId, second.jobId ]);
+    assert.equal((await second).cancelled, true);
+  });
+
+  it('cancelling a blocked job should not affect its dependencies', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const first = q.push(async () => 1);
+    const second = q.push(async () => 2, { dependsOn: [ first.jobId ] });
+    assert.equal(q.cancel(second.jobId), true);
+    await q.start();
+    assert.equal((await first).jobResult, 1);
+    assert.equal((await second).cancelled, true);
+  });
+
+  it('drain should wait for blocked jobs', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const job = helpers.makeSpyJob(5);
+    const first = q.push(helpers.makeWait(10));
+    q.push(job, { dependsOn: [ first.jobId ] });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.equal(job.done, true);
+  });
+
+  it('push() should reject unknown dependencies', function() {
+    const q = qyu({ log });
+    assert.throws(() => q.push(async () => {}, { dependsOn: [ -1 ] }), /unknown dependency: job -1/);
+  });
+
+  it('getGraph() should expose the state of jobs and their dependencies', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const done = q.push(async () => 1);
+    await q.start();
+    await done;
+    await q.pause();
+    const pending = q.push(async () => 2);
+    const blocked = q.push(async () => 3, { dependsOn: [ done.jobId, pending.jobId ] });
+    q.push(async () => 4); // no dependencies => not in graph
+    const { nodes, edges } = q.getGraph();
+    assert.deepEqual(nodes, [
+      { id: blocked.jobId, state: 'blocked', dependsOn: [ done.jobId, pending.jobId ] },
+      { id: done.jobId, state: 'done', dependsOn: [] },
+      { id: pending.jobId, state: 'pending', dependsOn: [] },
+    ]);
+    assert.deepEqual(edges, [
+      { from: done.jobId, to: blocked.jobId },
+      { from: pending.jobId, to: blocked.jobId },
+    ]);
+  });
+
+});
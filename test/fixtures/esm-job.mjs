@@ -0,0 +1,4 @@
+// job module for executor tests, as an ES module
+export default async function esmJob(payload) {
+  return payload.toUpperCase();
+}
@@ -0,0 +1,29 @@
+// job module for executor tests: behaves according to its payload
+module.exports = async function parseJob(payload, { jobId, dependencies, progress }) {
+  switch (payload.action) {
+    case 'double':
+      return { jobId, doubled: payload.value * 2, dependencies };
+    case 'progress':
+      progress(0.5, 'halfway');
+      return 'reported';
+    case 'throw':
+      throw Object.assign(new TypeError(payload.message), { code: 'E_PARSE' });
+    case 'spin': { // blocks its thread, as a CPU-bound job would
+      const end = Date.now() + payload.ms;
+      while (Date.now() < end);
+      return 'spun';
+    }
+    case 'crash':
+      setImmediate(() => { throw new Error('crashed'); });
+      return new Promise(() => {});
+    case 'pid':
+      return process.pid;
+    case 'leak': { // allocates memory until it runs out of it
+      const leak = [];
+      for (;;) leak.push(new Array(100000).fill(leak.length));
+    }
+    case 'stderr':
+      process.stderr.write('some details about the crash\n');
+      process.exit(3);
+  }
+};
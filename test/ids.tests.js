@@ -0,0 +1,93 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('job ids', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('each queue should generate its own sequence of ids', function() {
+    const q1 = qyu({ log }), q2 = qyu({ log });
+    assert.deepEqual([ q1.push(async () => 1).jobId, q1.push(async () => 2).jobId ], [ 0, 1 ]);
+    assert.equal(q2.push(async () => 1).jobId, 0);
+  });
+
+  it('the caller should be able to supply the id of a job', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const first = q.push(async () => 1, { id: 'record-1' });
+    const second = q.push(async ({ dependencies }) => dependencies['record-1'] + 1, { dependsOn: [ 'record-1' ] });
+    assert.equal(first.jobId, 'record-1');
+    await q.start();
+    assert.deepEqual(await first, { jobId: 'record-1', jobResult: 1 });
+    assert.equal((await second).jobResult, 2);
+  });
+
+  it('push() should throw if the queue already knows a job with that id', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    q.push(async () => 1, { id: 'a' });
+    assert.throws(() => q.push(async () => 2, { id: 'a' }), /duplicate job id: a/); // active
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.throws(() => q.push(async () => 2, { id: 'a' }), /duplicate job id: a/); // finished
+    await q.push(async () => { throw new Error('failed'); }, { id: 'b' }).catch(() => {});
+    q.finishedJobs.clear();
+    assert.throws(() => q.push(async () => 2, { id: 'b' }), /duplicate job id: b/); // dead letter
+    assert.equal(q.getStats().totals.pushed, 2);
+  });
+
+  it('generated ids should skip the ids given by callers', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    q.push(async () => 'mine', { id: 2 });
+    const ids = [ 1, 2, 3 ].map(() => q.push(async () => 'generated').jobId);
+    assert.deepEqual(ids, [ 0, 1, 3 ]);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(q.push(async () => 'generated').jobId, 4); // also skips finished jobs
+    const constant = qyu({ log, idGenerator: () => 'same' });
+    constant.push(async () => 1);
+    assert.throws(() => constant.push(async () => 2), /duplicate job id: same/);
+  });
+
+  it('push() should reject ids in batch mode', function() {
+    const q = qyu({ log, batch: { handler: async payloads => payloads } });
+    assert.throws(() => q.push(1, { id: 'mine' }), /id is not supported in batch mode/);
+  });
+
+  it('ids can be generated by a custom function', function() {
+    let n = 0;
+    const q = qyu({ log, idGenerator: () => `job-${++n}` });
+    assert.equal(q.push(async () => 1).jobId, 'job-1');
+  });
+
+  it('uuid should generate random UUIDs', function() {
+    const q = qyu({ log, idGenerator: 'uuid' });
+    const ids = [ q.push(async () => 1).jobId, q.push(async () => 2).jobId ];
+    ids.forEach(id => assert(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id), id));
+    assert.notEqual(ids[0], ids[1]);
+  });
+
+  it('ulid should generate ids that are sorted by creation time', async function() {
+    const generate = qyu.idGenerators.ulid();
+    const ids = new Array(1000).fill(0).map(() => generate()); // many within the same millisecond
+    await helpers.wait(2);
+    ids.push(generate());
+    ids.forEach(id => assert(/^[0-9A-HJKMNP-TV-Z]{26}$/.test(id), id));
+    assert.deepEqual(ids.slice().sort(), ids);
+    assert.equal(new Set(ids).size, ids.length);
+    const time = ids[ids.length - 1].slice(0, 10).split('').reduce((t, char) => t * 32 + '0123456789ABCDEFGHJKMNPQRSTVWXYZ'.indexOf(char), 0);
+    assert(Math.abs(time - Date.now()) < 1000);
+  });
+
+  it('the constructor should reject unknown id generators', function() {
+    assert.throws(() => qyu({ log, idGenerator: 'snowflake' }), /unknown id generator: snowflake/);
+  });
+
+});
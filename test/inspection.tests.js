@@ -0,0 +1,90 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('job inspection', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('getJob() should provide the state, priority, attempts and dates of a job', async function() {
+    const q = qyu({ log, historySize: 10 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const t0 = Date.now();
+    const promise = q.push(helpers.makeWait(20), { priority: 3 });
+    const pending = q.getJob(promise.jobId);
+    assert.deepEqual(Object.keys(pending), [ 'jobId', 'state', 'priority', 'attempts', 'dependsOn',
+      'pushedAt', 'runAt', 'startedAt', 'finishedAt' ]);
+    assert.equal(pending.state, 'pending');
+    assert.equal(pending.priority, 3);
+    assert.equal(pending.attempts, 0);
+    assert(pending.pushedAt >= t0);
+    assert.equal(pending.startedAt, null);
+    await q.start();
+    const running = q.getJob(promise.jobId);
+    assert.equal(running.state, 'running');
+    assert.equal(running.attempts, 1);
+    assert(running.startedAt >= pending.pushedAt);
+    await promise;
+    const done = q.getJob(promise.jobId);
+    assert.equal(done.state, 'done');
+    assert(done.finishedAt >= done.startedAt);
+    assert(done.hasOwnProperty('jobResult'));
+    assert.equal(q.getJob('unknown'), null);
+  });
+
+  it('failed and cancelled jobs should provide their error or reason', async function() {
+    const q = qyu({ log });
+    q.on('error', () => {});
+    const failing = q.push(async () => { throw new Error('oops'); });
+    const cancelled = q.push(helpers.makeWait(5), { delay: 1000 });
+    q.cancel(cancelled.jobId);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(q.getJob(failing.jobId).state, 'failed');
+    assert.equal(q.getJob(failing.jobId).error.message, 'oops');
+    assert.equal(q.getJob(cancelled.jobId).state, 'cancelled');
+    assert(q.getJob(cancelled.jobId).reason instanceof qyu.CancelError);
+  });
+
+  it('list() should filter jobs by state and priority, up to a limit', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const ids = [
+      q.push(async () => 1, { priority: 1 }),
+      q.push(async () => 2, { priority: 2 }),
+      q.push(async () => 3, { priority: 1, delay: 1000 }),
+      q.push(async () => 4, { priority: 1 }),
+    ].map(promise => promise.jobId);
+    assert.deepEqual(q.list().map(({ jobId }) => jobId), ids);
+    assert.deepEqual(q.list({ priority: 1 }).map(({ jobId }) => jobId), [ ids[0], ids[2], ids[3] ]);
+    assert.deepEqual(q.list({ state: 'scheduled' }).map(({ jobId }) => jobId), [ ids[2] ]);
+    assert.deepEqual(q.list({ state: [ 'pending' ], priority: 1, limit: 1 }).map(({ jobId }) => jobId), [ ids[0] ]);
+    await q.start();
+    await helpers.wait(10);
+    assert.deepEqual(q.list({ state: 'done' }).map(({ jobId }) => jobId), [ ids[1], ids[3], ids[0] ]); // by priority, most recent first
+    assert.deepEqual(q.list({ limit: 2 }).map(({ jobId }) => jobId), [ ids[2], ids[1] ]); // active jobs first
+    q.cancel(ids[2]);
+  });
+
+  it('counts() should count active jobs, and finished jobs of the history', async function() {
+    const q = qyu({ log, historySize: 2 });
+    q.on('error', () => {});
+    q.push(async () => 1);
+    q.push(async () => { throw new Error('oops'); });
+    q.push(async () => 3);
+    q.push(helpers.makeWait(1000), { delay: 1000 });
+    assert.deepEqual(q.counts(),
+      { pending: 3, scheduled: 1, blocked: 0, waiting: 0, running: 0, done: 0, failed: 0, cancelled: 0 });
+    await q.start();
+    await helpers.wait(10);
+    assert.deepEqual(q.counts(), // the first job was forgotten
+      { pending: 0, scheduled: 1, blocked: 0, waiting: 0, running: 0, done: 1, failed: 1, cancelled: 0 });
+    q.list({ state: 'scheduled' }).forEach(({ jobId }) => q.cancel(jobId));
+  });
+
+});
@@ -0,0 +1,143 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('per-key limits', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a busy key should not prevent jobs of other keys from running', async function() {
+    const q = qyu({ log, concurrency: 3, keyLimits: { concurrency: 1 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const order = [];
+    const makeJob = (name, ms) => async () => {
+      order.push('start ' + name);
+      await helpers.wait(ms);
+      order.push('end ' + name);
+    };
+    q.push(makeJob('slow1', 40), { key: 'slow.com' });
+    q.push(makeJob('slow2', 10), { key: 'slow.com' });
+    q.push(makeJob('fast1', 10), { key: 'fast.com' });
+    q.push(makeJob('fast2', 10), { key: 'fast.com' });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    assert.deepEqual(order, [
+      'start slow1', 'start fast1', 'end fast1', 'start fast2', 'end fast2',
+      'end slow1', 'start slow2', 'end slow2'
+    ]);
+  });
+
+  it('jobs without key should only be subject to the limits of the queue', async function() {
+    const q = qyu({ log, concurrency: 3, keyLimits: { concurrency: 1 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const started = [];
+    [ 'a.com', 'a.com', undefined, undefined ].forEach((key, i) => {
+      q.push(async () => { started.push(i); await helpers.wait(20); }, { key });
+    });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await helpers.wait(10);
+    assert.deepEqual(started, [ 0, 2, 3 ]);
+    await drained;
+    assert.deepEqual(started, [ 0, 2, 3, 1 ]);
+  });
+
+  it('keys for which keyLimits() returns null should only be subject to the limits of the queue', async function() {
+    const calls = [];
+    const keyLimits = key => calls.push(key) && key === 'slow' ? { concurrency: 1 } : null;
+    const q = qyu({ log, concurrency: 4, keyLimits });
+    q.on('error', helpers.throwOnErrorEvent);
+    const started = [];
+    [ 'slow', 'slow', 'fast', 'fast' ].forEach((key, i) => {
+      q.push(async () => { started.push(i); await helpers.wait(20); }, { key });
+    });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await helpers.wait(10);
+    assert.deepEqual(started, [ 0, 2, 3 ]); // jobs of `fast` overlap
+    await drained;
+    assert.deepEqual(calls, [ 'slow', 'fast' ]); // answers are kept while keys are in use
+  });
+
+  it('a busy key should be skipped without going thru its pending jobs', async function() {
+    this.timeout(10000);
+    const q = qyu({ log, concurrency: 2, keyLimits: { concurrency: 1 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const NB_JOBS = 20000;
+    for (let i = 0; i < NB_JOBS; ++i) {
+      q.push(async () => {}, { key: 'busy.com' });
+    }
+    const drained = helpers.received(q, 'drain');
+    const t0 = Date.now();
+    await q.start();
+    await drained;
+    const elapsed = Date.now() - t0;
+    assert(elapsed < 3000, `${NB_JOBS} jobs of one key took ${elapsed} ms`);
+  });
+
+  it('the constructor should reject a custom strategy object shared by all keys', function() {
+    const rateStrategy = { canRun: () => true, jobStarted: () => {}, jobEnded: () => {} };
+    assert.throws(() => qyu({ log, keyLimits: { rateStrategy } }), /keyLimits.rateStrategy can't be a custom strategy object/);
+    qyu({ log, keyLimits: () => ({ rateStrategy: Object.assign({}, rateStrategy) }) }); // one per key
+  });
+
+  it('priority order should be preserved among jobs that can run', async function() {
+    const q = qyu({ log, concurrency: 2, keyLimits: { concurrency: 1 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const order = [];
+    const makeJob = (name, ms) => async () => { order.push(name); await helpers.wait(ms); };
+    q.push(makeJob('a1', 5), { key: 'a', priority: 1 });
+    q.push(makeJob('a2', 5), { key: 'a', priority: 1 });
+    q.push(makeJob('b1', 30), { key: 'b', priority: 2 });
+    q.push(makeJob('c1', 5), { key: 'c', priority: 3 });
+    q.push(makeJob('b2', 5), { key: 'b', priority: 2 });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    // c1 runs before b2, because b1 is still running when a2 ends
+    assert.deepEqual(order, [ 'a1', 'b1', 'a2', 'c1', 'b2' ]);
+  });
+
+  it('each key should be rate limited separately', async function() {
+    const q = qyu({
+      log,
+      rateLimit: 100,
+      statsInterval: 10,
+      keyLimits: key => key === 'slow.com' ? { rateLimit: { limit: 1, intervalMs: 50 } } : { rateLimit: 50 },
+    });
+    q.on('error', helpers.throwOnErrorEvent);
+    const started = { 'slow.com': 0, 'fast.com': 0 };
+    Object.keys(started).forEach(key => {
+      for (let i = 0; i < 10; ++i) {
+        q.push(async () => { ++started[key]; }, { key });
+      }
+    });
+    await q.start();
+    await helpers.wait(75);
+    await q.pause();
+    assert.equal(started['fast.com'], 10);
+    assert.equal(started['slow.com'], 2);
+    const { byKey } = q.getStats();
+    assert.deepEqual(byKey['slow.com'].rateWindows.map(({ limit }) => limit), [ 1 ]);
+  });
+
+  it('limiters of idle keys should be forgotten', async function() {
+    const q = qyu({ log, statsInterval: 10, keyLimits: { rateLimit: { limit: 5, intervalMs: 20 } } });
+    q.on('error', helpers.throwOnErrorEvent);
+    q.push(async () => {}, { key: 'a.com' });
+    q.push(helpers.makeWait(60), { key: 'b.com' });
+    await q.start();
+    await helpers.wait(10);
+    assert.deepEqual(Object.keys(q.getStats().byKey), [ 'a.com', 'b.com' ]);
+    await helpers.wait(40);
+    assert.deepEqual(Object.keys(q.getStats().byKey), [ 'b.com' ]);
+    await q.pause();
+  });
+
+});
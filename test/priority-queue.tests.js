@@ -0,0 +1,91 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+const PriorityQueue = require('../PriorityQueue');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+const compare = (a, b) => (a.priority - b.priority) || (a.seq - b.seq);
+
+// pops all items from the queue
+const popAll = (pq) => {
+  const items = [];
+  while (pq.length) items.push(pq.pop());
+  return items;
+};
+
+// pushes then drains nbJobs jobs through a queue, returns the duration in ms
+async function measurePushAndDrain(nbJobs) {
+  const q = qyu({ log, concurrency: 1 });
+  const job = () => null;
+  const t0 = Date.now();
+  for (let i = 0; i < nbJobs; ++i) {
+    q.push(job, { priority: 1 + i % 10 });
+  }
+  const drained = helpers.received(q, 'drain');
+  await q.start();
+  await drained;
+  return Date.now() - t0;
+}
+
+describe('priority queue', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('should pop items by priority, and in FIFO order within a priority', function() {
+    const pq = new PriorityQueue(compare);
+    const priorities = [ 5, 1, 5, 3, 1, 10, 3, 5 ];
+    priorities.forEach((priority, seq) => pq.push({ priority, seq }));
+    assert.equal(pq.length, priorities.length);
+    assert.equal(pq.peek().seq, 1);
+    assert.deepEqual(popAll(pq).map(item => item.seq), [ 1, 4, 3, 6, 0, 2, 7, 5 ]);
+    assert.equal(pq.pop(), undefined);
+  });
+
+  it('should remove any item, and keep the others in order', function() {
+    const pq = new PriorityQueue(compare);
+    const items = new Array(20).fill(0).map((_, seq) => ({ priority: seq % 4, seq }));
+    items.forEach(item => pq.push(item));
+    assert.equal(pq.remove(items[8]), true);
+    assert.equal(pq.remove(items[8]), false);
+    assert.equal(pq.find(item => item.seq === 9), items[9]);
+    const expected = items.filter(item => item.seq !== 8).sort(compare);
+    assert.deepEqual(pq.toArray(), expected);
+    assert.deepEqual(popAll(pq), expected);
+  });
+
+  it('update() should move an item whose priority changed', function() {
+    const pq = new PriorityQueue(compare);
+    const items = new Array(10).fill(0).map((_, seq) => ({ priority: 5, seq }));
+    items.forEach(item => pq.push(item));
+    items[7].priority = 1;
+    pq.update(items[7]);
+    items[0].priority = 9;
+    pq.update(items[0]);
+    assert.deepEqual(popAll(pq).map(item => item.seq), [ 7, 1, 2, 3, 4, 5, 6, 8, 9, 0 ]);
+  });
+
+  it('peekLast() should return the item that would be popped last', function() {
+    const pq = new PriorityQueue(compare);
+    assert.equal(pq.peekLast(), undefined);
+    const items = [ 3, 1, 3, 0, 2 ].map((priority, seq) => ({ priority, seq }));
+    items.forEach(item => pq.push(item));
+    assert.equal(pq.peekLast(), items[2]);
+  });
+
+  it('pushing and draining 100k jobs should scale linearithmically', async function() {
+    this.timeout(30000);
+    const SMALL = 25000, LARGE = 100000;
+    await measurePushAndDrain(SMALL); // warm up
+    const small = await measurePushAndDrain(SMALL);
+    const large = await measurePushAndDrain(LARGE);
+    const ratio = large / Math.max(1, small);
+    console.log(helpers.PREFIX + `${SMALL} jobs: ${small} ms, ${LARGE} jobs: ${large} ms, ratio: ${ratio}`);
+    // O(n log n) => ratio ≈ 4.5, O(n²) => ratio ≈ 16
+    assert(ratio < 10, `draining ${LARGE} jobs took ${ratio} times longer than ${SMALL} jobs`);
+  });
+
+});
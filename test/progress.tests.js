@@ -0,0 +1,80 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('job progress', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('progress() should emit progress events with the id of the job', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const events = [];
+    q.on('progress', event => events.push(event));
+    const promise = q.push(async ({ progress }) => {
+      progress(0.5, { step: 'fetching' });
+    });
+    await q.start();
+    await promise;
+    assert.deepEqual(events, [ { jobId: promise.jobId, progress: 0.5, details: { step: 'fetching' } } ]);
+  });
+
+  it('progress events should be throttled, and the latest one emitted before done', async function() {
+    const q = qyu({ log, progressInterval: 30 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const events = [];
+    q.on('progress', ({ progress }) => events.push(progress));
+    q.on('done', () => events.push('done'));
+    const promise = q.push(async ({ progress }) => {
+      for (let i = 1; i <= 100; ++i) {
+        progress(i);
+      }
+      await helpers.wait(45);
+      progress(101);
+      progress(102);
+    });
+    await q.start();
+    await promise;
+    assert.deepEqual(events, [ 1, 100, 102, 'done' ]);
+  });
+
+  it('getProgress() should return the latest progress of a running job', async function() {
+    const q = qyu({ log, progressInterval: 1000 });
+    q.on('error', helpers.throwOnErrorEvent);
+    let resume;
+    const promise = q.push(async ({ progress }) => {
+      progress(1);
+      progress(2, 'almost');
+      await new Promise(resolve => resume = resolve);
+    });
+    assert.equal(q.getProgress(promise.jobId), null); // not started yet
+    await q.start();
+    assert.deepEqual(q.getProgress(promise.jobId), { progress: 2, details: 'almost' });
+    resume();
+    await promise;
+    assert.equal(q.getProgress(promise.jobId), null);
+  });
+
+  it('progress reported after a job timed out should be ignored', async function() {
+    const q = qyu({ log, timeout: 10 });
+    const events = [];
+    q.on('progress', ({ progress }) => events.push(progress));
+    q.on('error', () => events.push('error'));
+    let reportProgress;
+    q.push(async ({ progress }) => {
+      reportProgress = progress;
+      await helpers.wait(30);
+    });
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    reportProgress(1);
+    assert.deepEqual(events, [ 'error' ]);
+  });
+
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const http = require('http');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+const PrometheusExporter = require('../prometheus');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// returns the value of a sample from a text exposition, e.g. `qyu_jobs_done_total{queue="a"}`
+const getSample = (text, sample) => {
+  const line = text.split('\n').find(line => line.startsWith(sample + ' '));
+  return line === undefined ? undefined : Number(line.split(' ')[1]);
+};
+
+describe('prometheus exporter', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('should export counters and gauges of each registered queue', async function() {
+    const q1 = qyu({ log });
+    const q2 = qyu({ log });
+    q1.on('error', () => {});
+    const exporter = new PrometheusExporter();
+    exporter.register('crawl', q1);
+    exporter.register('index', q2);
+    q1.push(async () => 'ok');
+    q1.push(async () => { throw new Error('failed'); });
+    q2.push(async () => 'ok');
+    const delayed = q2.push(async () => 'ok', { delay: 1000 });
+    const drained = helpers.received(q1, 'drain');
+    await q1.start();
+    await drained;
+    const text = exporter.getMetrics();
+    assert(text.includes('# TYPE qyu_jobs_pushed_total counter\n'));
+    assert.equal(getSample(text, 'qyu_jobs_pushed_total{queue="crawl"}'), 2);
+    assert.equal(getSample(text, 'qyu_jobs_started_total{queue="crawl"}'), 2);
+    assert.equal(getSample(text, 'qyu_jobs_done_total{queue="crawl"}'), 1);
+    assert.equal(getSample(text, 'qyu_jobs_failed_total{queue="crawl"}'), 1);
+    assert.equal(getSample(text, 'qyu_jobs_pushed_total{queue="index"}'), 2);
+    assert.equal(getSample(text, 'qyu_queue_depth{queue="index",state="pending"}'), 1);
+    assert.equal(getSample(text, 'qyu_queue_depth{queue="index",state="scheduled"}'), 1);
+    assert.equal(getSample(text, 'qyu_jobs_running{queue="index"}'), 0);
+    assert.equal(exporter.unregister('index'), true);
+    assert.equal(exporter.unregister('index'), false);
+    assert.equal(getSample(exporter.getMetrics(), 'qyu_jobs_pushed_total{queue="index"}'), undefined);
+    q2.cancel(delayed.jobId); // clears its timer
+  });
+
+  it('should export a histogram of job durations', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const exporter = new PrometheusExporter({ prefix: 'crawler_', buckets: [ 0.02, 0.001 ] });
+    exporter.register('crawl', q);
+    q.push(async () => 'fast');
+    q.push(helpers.makeWait(30));
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    const text = exporter.getMetrics();
+    assert(text.includes('# TYPE crawler_job_duration_seconds histogram\n'));
+    assert.equal(getSample(text, 'crawler_job_duration_seconds_bucket{queue="crawl",le="0.001"}'), 1);
+    assert.equal(getSample(text, 'crawler_job_duration_seconds_bucket{queue="crawl",le="0.02"}'), 1);
+    assert.equal(getSample(text, 'crawler_job_duration_seconds_bucket{queue="crawl",le="+Inf"}'), 2);
+    assert.equal(getSample(text, 'crawler_job_duration_seconds_count{queue="crawl"}'), 2);
+    assert(getSample(text, 'crawler_job_duration_seconds_sum{queue="crawl"}') >= 0.029);
+  });
+
+  it('should escape queue names', function() {
+    const exporter = new PrometheusExporter();
+    exporter.register('a "quoted"\\name', qyu({ log }));
+    assert(exporter.getMetrics().includes('qyu_jobs_running{queue="a \\"quoted\\"\\\\name"} 0\n'));
+    assert.throws(() => exporter.register('a "quoted"\\name', qyu({ log })), /already registered/);
+  });
+
+  it('should serve metrics over http', async function() {
+    const q = qyu({ log });
+    const exporter = new PrometheusExporter();
+    exporter.register('crawl', q);
+    q.push(async () => 'ok');
+    const server = http.createServer(exporter.handler());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/metrics`;
+    try {
+      const res = await fetch(url);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+      assert.equal(getSample(await res.text(), 'qyu_jobs_pushed_total{queue="crawl"}'), 1);
+      assert.equal((await fetch(url, { method: 'POST' })).status, 405);
+    } finally {
+      server.closeAllConnections(); // including keep-alive ones
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+});
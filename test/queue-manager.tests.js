@@ -0,0 +1,156 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const QueueManager = require('../QueueManager');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// returns a job that counts how many jobs of `counter` run at the same time
+const makeCountingJob = (counter, ms) => async () => {
+  counter.max = Math.max(counter.max, ++counter.running);
+  await helpers.wait(ms);
+  --counter.running;
+};
+
+describe('queue manager', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('the global concurrency should apply to all queues, on top of their own', async function() {
+    const manager = new QueueManager({ log, concurrency: 3 });
+    const counters = { all: { running: 0, max: 0 }, a: { running: 0, max: 0 }, b: { running: 0, max: 0 } };
+    [ 'a', 'b' ].forEach(name => {
+      const q = manager.createQueue(name, { concurrency: 2 });
+      q.on('error', helpers.throwOnErrorEvent);
+      for (let i = 0; i < 4; ++i) {
+        q.push(async () => {
+          await Promise.all([ makeCountingJob(counters.all, 10)(), makeCountingJob(counters[name], 10)() ]);
+        });
+      }
+    });
+    await manager.start();
+    await manager.drain();
+    assert.equal(counters.all.max, 3);
+    assert.equal(counters.a.max, 2);
+    assert.equal(counters.b.max, 2);
+    assert.equal(manager.getStats().totals.done, 8);
+  });
+
+  it('the global rate limit should apply to all queues', async function() {
+    const manager = new QueueManager({ log, rateLimit: { limit: 3, intervalMs: 1000 } });
+    let started = 0;
+    [ 'a', 'b' ].forEach(name => {
+      const q = manager.createQueue(name, { rateLimit: 10 });
+      for (let i = 0; i < 3; ++i) {
+        q.push(async () => ++started);
+      }
+    });
+    await manager.start();
+    await helpers.wait(30);
+    assert.equal(started, 3);
+    const { global } = manager.getStats();
+    assert.deepEqual(global.rateWindows, [ { limit: 3, intervalMs: 1000, usage: 3 } ]);
+    await manager.pause();
+  });
+
+  it('queues should be paused and started by name', async function() {
+    const manager = new QueueManager({ log });
+    const a = manager.createQueue('a');
+    const b = manager.createQueue('b');
+    const jobA = helpers.makeSpyJob(5);
+    const jobB = helpers.makeSpyJob(5);
+    a.push(jobA);
+    b.push(jobB);
+    await manager.start('a');
+    await manager.drain('a');
+    assert.equal(jobA.done, true);
+    assert.equal(jobB.done, false);
+    await manager.start('b');
+    await manager.drain();
+    assert.equal(jobB.done, true);
+    await manager.pause();
+    assert.throws(() => manager.start('c'), /unknown queue: c/);
+  });
+
+  it('stats of queues should be aggregated', async function() {
+    const manager = new QueueManager({ log, concurrency: 10 });
+    const a = manager.createQueue('a', { statsInterval: 10 });
+    const b = manager.createQueue('b');
+    a.on('error', () => {});
+    a.push(helpers.makeWait(20)); // lasts long enough for `stats` to be emitted
+    a.push(async () => { throw new Error('failed'); });
+    b.push(async () => 'ok');
+    const delayed = b.push(async () => 'ok', { delay: 1000 });
+    const stats = helpers.received(manager, 'stats');
+    await manager.start('a');
+    await manager.drain('a');
+    assert.equal((await stats).queue, 'a');
+    const { queues, pending, scheduled, done, failed, successRate, totals } = manager.getStats();
+    assert.deepEqual(Object.keys(queues), [ 'a', 'b' ]);
+    assert.equal(queues.b.pending, 1);
+    assert.deepEqual({ pending, scheduled, done, failed }, { pending: 1, scheduled: 1, done: 1, failed: 1 });
+    assert.equal(successRate, 0.5);
+    assert.equal(totals.pushed, 4);
+    await manager.removeQueue('b');
+    assert.deepEqual(manager.listQueues(), [ 'a' ]);
+    b.cancel(delayed.jobId); // clears its timer
+    await manager.pause();
+  });
+
+  it('a removed queue should not be subject to the global limits anymore', async function() {
+    const manager = new QueueManager({ log, concurrency: 1 });
+    const a = manager.createQueue('a', { concurrency: 2 });
+    manager.createQueue('b');
+    assert.equal(manager.limiter.listenerCount('jobEnded'), 2);
+    await manager.removeQueue('a');
+    assert.equal(manager.limiter.listenerCount('jobEnded'), 1);
+    const counter = { running: 0, max: 0 };
+    a.push(makeCountingJob(counter, 10));
+    a.push(makeCountingJob(counter, 10));
+    await a.start();
+    await helpers.received(a, 'drain');
+    assert.equal(counter.max, 2);
+    assert.equal(manager.limiter.running, 0);
+  });
+
+  it('removeQueue() should only remove the listener of the manager', async function() {
+    const manager = new QueueManager({ log });
+    const a = manager.createQueue('a', { statsInterval: 10 });
+    a.on('error', helpers.throwOnErrorEvent);
+    const onStats = () => {};
+    a.on('stats', onStats);
+    assert.equal(a.listenerCount('stats'), 2);
+    await manager.removeQueue('a');
+    assert.deepEqual(a.listeners('stats'), [ onStats ]);
+    let reEmitted = false;
+    manager.on('stats', () => reEmitted = true);
+    a.push(helpers.makeWait(20)); // lasts long enough for `stats` to be emitted
+    const stats = helpers.received(a, 'stats');
+    const drained = helpers.received(a, 'drain');
+    await a.start();
+    await Promise.all([ stats, drained ]);
+    assert(!reEmitted);
+  });
+
+  it('drain() should wait for payloads of batches that were not run yet', async function() {
+    const manager = new QueueManager({ log });
+    const handler = async payloads => payloads;
+    const a = manager.createQueue('a', { batch: { handler, maxBatchSize: 10, maxWaitMs: 20 } });
+    await manager.start();
+    const promise = a.push(1);
+    let settled = false;
+    promise.then(() => settled = true);
+    await manager.drain();
+    assert(settled);
+    await manager.pause();
+  });
+
+  it('createQueue() should reject duplicate names', function() {
+    const manager = new QueueManager({ log });
+    manager.createQueue('a');
+    assert.throws(() => manager.createQueue('a'), /already named a/);
+  });
+
+});
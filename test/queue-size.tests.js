@@ -0,0 +1,136 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// fills a queue of nbJobs jobs, then pushes as many jobs of higher priority, returns the duration in ms
+function measureDropLowest(nbJobs) {
+  const q = qyu({ log, maxQueueSize: nbJobs, overflow: 'dropLowest' });
+  const job = () => null;
+  const t0 = Date.now();
+  for (let i = 0; i < nbJobs; ++i) {
+    q.push(job, { priority: 10 + i % 10 });
+  }
+  for (let i = 0; i < nbJobs; ++i) {
+    q.push(job, { priority: 1 + i % 5 }); // drops a job of the first loop
+  }
+  const elapsed = Date.now() - t0;
+  assert.equal(q.counts().pending, nbJobs);
+  assert.equal(q.counts().cancelled, Math.min(nbJobs, q.opts.historySize));
+  return elapsed;
+}
+
+describe('bounded queue size', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('push() should throw when the queue is full, by default', async function() {
+    const q = qyu({ log, maxQueueSize: 2 });
+    q.on('error', helpers.throwOnErrorEvent);
+    q.push(helpers.makeWait(5));
+    q.push(helpers.makeWait(5), { delay: 10 }); // scheduled jobs count too
+    assert.throws(() => q.push(helpers.makeWait(5)),
+      err => err instanceof qyu.QueueFullError && err.maxQueueSize === 2);
+    assert.equal(q.getStats().pending, 1);
+    await q.start(); // the pending job starts running, which makes room for another job
+    q.push(helpers.makeWait(5));
+    await helpers.received(q, 'drain');
+  });
+
+  it('full and available events should be emitted when the queue fills and empties', async function() {
+    const q = qyu({ log, maxQueueSize: 2 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const events = [];
+    q.on('full', ({ size }) => events.push([ 'full', size ]));
+    q.on('available', ({ size }) => events.push([ 'available', size ]));
+    q.push(helpers.makeWait(5));
+    q.push(helpers.makeWait(5));
+    assert.deepEqual(events, [ [ 'full', 2 ] ]);
+    const capacity = q.waitForCapacity();
+    await q.start();
+    await capacity;
+    assert.deepEqual(events, [ [ 'full', 2 ], [ 'available', 1 ] ]);
+    await q.waitForCapacity(); // resolves right away
+  });
+
+  it('dropLowest should cancel the pending job with the lowest priority', async function() {
+    const q = qyu({ log, maxQueueSize: 2, overflow: 'dropLowest' });
+    q.on('error', helpers.throwOnErrorEvent);
+    const low = q.push(helpers.makeWait(5), { priority: 5 });
+    const high = q.push(helpers.makeWait(5), { priority: 1 });
+    const higher = q.push(helpers.makeWait(5), { priority: 2 });
+    const { cancelled, reason } = await low;
+    assert.equal(cancelled, true);
+    assert(reason instanceof qyu.QueueFullError);
+    assert.throws(() => q.push(helpers.makeWait(5), { priority: 2 }), qyu.QueueFullError); // not higher than others
+    await q.start();
+    assert.equal((await high).jobId, high.jobId);
+    assert.equal((await higher).jobId, higher.jobId);
+  });
+
+  it('dropLowest should scale linearithmically with the size of the queue', function() {
+    this.timeout(30000);
+    const SMALL = 10000, LARGE = 40000;
+    measureDropLowest(SMALL); // warm up
+    const small = measureDropLowest(SMALL);
+    const large = measureDropLowest(LARGE);
+    const ratio = large / Math.max(1, small);
+    console.log(helpers.PREFIX + `${SMALL} drops: ${small} ms, ${LARGE} drops: ${large} ms, ratio: ${ratio}`);
+    // O(n log n) => ratio ≈ 4.5, O(n²) => ratio ≈ 16
+    assert(ratio < 10, `dropping ${LARGE} jobs took ${ratio} times longer than ${SMALL} jobs`);
+  });
+
+  it('the wait policy should keep jobs aside until there is room in the queue', async function() {
+    const q = qyu({ log, maxQueueSize: 1, overflow: 'wait', maxWaiting: 2 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const order = [];
+    const job = name => async () => order.push(name);
+    q.push(job('a'));
+    q.push(job('b'), { priority: 1 }); // waits, despite its priority
+    const cancelled = q.push(job('c'));
+    assert.deepEqual([ q.getStats().pending, q.getStats().waiting ], [ 1, 2 ]);
+    q.cancel(cancelled.jobId);
+    assert.equal((await cancelled).cancelled, true);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(order, [ 'a', 'b' ]);
+    assert.equal(q.full, false);
+  });
+
+  it('the wait policy should throw when maxWaiting jobs are waiting', async function() {
+    const q = qyu({ log, maxQueueSize: 2, overflow: 'wait' });
+    const promises = [ 1, 2, 3, 4 ].map(() => q.push(async () => 1));
+    assert.equal(q.getStats().waiting, 2); // maxWaiting defaults to maxQueueSize
+    assert.throws(() => q.push(async () => 1), qyu.QueueFullError);
+    await q.start();
+    await Promise.all(promises);
+    const unbounded = qyu({ log, maxQueueSize: 1, overflow: 'wait', maxWaiting: Infinity });
+    [ 1, 2, 3, 4 ].forEach(() => unbounded.push(async () => 1));
+    assert.equal(unbounded.getStats().waiting, 3);
+    unbounded.list().forEach(({ jobId }) => unbounded.cancel(jobId));
+  });
+
+  it('a producer should be able to await capacity before pushing', async function() {
+    const q = qyu({ log, maxQueueSize: 3, concurrency: 2 });
+    q.on('error', helpers.throwOnErrorEvent);
+    let maxPending = 0;
+    q.on('full', () => maxPending = Math.max(maxPending, q.getStats().pending));
+    await q.start();
+    for (let i = 0; i < 20; ++i) {
+      await q.waitForCapacity();
+      q.push(helpers.makeWait(2));
+    }
+    await helpers.received(q, 'drain');
+    assert.equal(maxPending, 3);
+    assert.equal(q.getStats().totals.done, 20);
+  });
+
+  it('the constructor should reject unknown overflow policies', function() {
+    assert.throws(() => qyu({ log, overflow: 'drop' }), /unknown overflow policy: drop/);
+  });
+
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+const { EndWindow, SlidingWindow, FixedWindow, TokenBucket } = qyu.rateStrategies;
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// starts as many jobs as allowed by strategy at time now, returns the number of started jobs
+function startJobs(strategy, now, running = 0) {
+  let started = 0;
+  while (strategy.canRun(running + started, now)) {
+    strategy.jobStarted(now);
+    ++started;
+  }
+  return started;
+}
+
+describe('rate strategies', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('endWindow should count running jobs and jobs that ended during the interval', function() {
+    const strategy = new EndWindow({ limit: 2, intervalMs: 1000 });
+    assert.equal(startJobs(strategy, 0), 2);
+    strategy.jobEnded(10);
+    assert.equal(strategy.canRun(1, 500), false); // 1 running + 1 ended recently
+    assert.equal(strategy.canRun(1, 1011), true);
+    assert.equal(strategy.canRun(2, 5000), false); // long jobs still occupy their slot
+  });
+
+  it('slidingWindow should count jobs started during the last interval', function() {
+    const strategy = new SlidingWindow({ limit: 2, intervalMs: 1000 });
+    assert.equal(startJobs(strategy, 0), 2);
+    assert.equal(startJobs(strategy, 999, 2), 0);
+    assert.equal(startJobs(strategy, 1000, 2), 2); // regardless of running jobs
+  });
+
+  it('fixedWindow should reset its counter at the beginning of each interval', function() {
+    const strategy = new FixedWindow({ limit: 2, intervalMs: 1000 });
+    assert.equal(startJobs(strategy, 900), 2);
+    assert.equal(startJobs(strategy, 999), 0);
+    assert.equal(startJobs(strategy, 1000), 2);
+    assert.equal(startJobs(strategy, 1999), 0);
+  });
+
+  it('tokenBucket should allow bursts, then refill at the given rate', function() {
+    const strategy = new TokenBucket({ limit: 10, intervalMs: 1000, burst: 5 });
+    assert.equal(startJobs(strategy, 0), 5);
+    assert.equal(startJobs(strategy, 50), 0);
+    assert.equal(startJobs(strategy, 100), 1);
+    assert.equal(startJobs(strategy, 350), 2);
+    assert.equal(startJobs(strategy, 60000), 5); // capacity is capped by burst
+  });
+
+  it('tokenBucket capacity should default to limit', function() {
+    const strategy = new TokenBucket({ limit: 3, intervalMs: 1000 });
+    assert.equal(startJobs(strategy, 0), 3);
+  });
+
+  it('canRun() should tell if several jobs can start at once', function() {
+    const sliding = new SlidingWindow({ limit: 5, intervalMs: 1000 });
+    sliding.jobStarted(0);
+    assert.equal(sliding.canRun(0, 10, 4), true);
+    assert.equal(sliding.canRun(0, 10, 5), false);
+    const bucket = new TokenBucket({ limit: 5, intervalMs: 1000 });
+    assert.equal(bucket.canRun(0, 0, 5), true);
+    bucket.jobStarted(0);
+    assert.equal(bucket.canRun(0, 0, 5), false);
+    assert.equal(bucket.canRun(0, 200, 5), true); // refilled
+  });
+
+  it('unknown strategy names should be rejected', function() {
+    assert.throws(() => qyu({ log, rateLimit: 1, rateStrategy: 'nope' }), /unknown rate strategy/);
+  });
+
+  it('slidingWindow should start jobs while a job > 1 second is running', async function() {
+    this.timeout(4000); // default of 2 seconds may not be enough
+    const q = qyu({ log, rateLimit: 1, rateStrategy: 'slidingWindow', statsInterval: 50 });
+    const quickJob = helpers.makeSpyJob(5);
+    q.push(helpers.makeWait(1500), { priority: 1 });
+    const pushPromise = q.push(quickJob, { priority: 2 });
+    await q.start();
+    await pushPromise;
+    assert.equal(q.rateLimiter.running, 1); // the long job is still running
+    await q.pause();
+  });
+
+  it('tokenBucket should start a burst of jobs at once', async function() {
+    const q = qyu({ log, rateLimit: 1, rateStrategy: 'tokenBucket', burst: 3 });
+    const jobs = helpers.pushMultipleSpyJobsTo(q, 4, 10);
+    await q.start();
+    assert.equal(q.rateLimiter.running, 3);
+    await q.pause();
+    assert.deepEqual(jobs.map(job => job.done), [ true, true, true, false ]);
+  });
+
+  it('a custom strategy object should be used to decide when to start jobs', async function() {
+    const calls = [];
+    const strategy = {
+      canRun: (running) => running === 0 && calls.filter(c => c === 'started').length < 2,
+      jobStarted: () => calls.push('started'),
+      jobEnded: () => calls.push('ended'),
+    };
+    const q = qyu({ log, rateStrategy: strategy });
+    const jobs = helpers.pushMultipleSpyJobsTo(q, 3, 5);
+    await q.start();
+    await helpers.wait(50);
+    await q.pause();
+    assert.deepEqual(jobs.map(job => job.done), [ true, true, false ]);
+    assert.deepEqual(calls, [ 'started', 'ended', 'started', 'ended' ]);
+  });
+
+});
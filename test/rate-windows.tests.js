@@ -0,0 +1,66 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// pushes nbJobs jobs that wait ms milliseconds, returns the array of their start dates, relative to t0
+function pushTimedJobsTo(q, nbJobs, ms) {
+  const t0 = Date.now();
+  const startDates = [];
+  helpers.pushMultipleJobsTo(q, nbJobs, helpers.makeJobThenWait(() => startDates.push(Date.now() - t0), ms));
+  return startDates;
+}
+
+describe('rate limiting windows', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('rateLimit should accept a { limit, intervalMs } window', async function() {
+    const rateLimit = { limit: 2, intervalMs: 100 };
+    const q = qyu({ log, rateLimit, rateStrategy: 'slidingWindow', statsInterval: 10 });
+    const startDates = pushTimedJobsTo(q, 5, 5);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(startDates.length, 5);
+    assert(startDates[2] >= 100, 'third job was started after ' + startDates[2] + ' ms');
+    assert(startDates[4] >= 200, 'fifth job was started after ' + startDates[4] + ' ms');
+  });
+
+  it('all windows should be satisfied simultaneously', async function() {
+    const rateLimit = [ { limit: 2, intervalMs: 50 }, { limit: 3, intervalMs: 60000 } ];
+    const q = qyu({ log, rateLimit, rateStrategy: 'slidingWindow', statsInterval: 10 });
+    const startDates = pushTimedJobsTo(q, 5, 5);
+    await q.start();
+    await helpers.wait(200);
+    assert.equal(startDates.length, 3);
+    assert(startDates[2] >= 50, 'third job was started after ' + startDates[2] + ' ms');
+    await q.pause();
+  });
+
+  it('a number should still be a limit of jobs per second', async function() {
+    const q = qyu({ log, rateLimit: 10, statsInterval: 10 });
+    pushTimedJobsTo(q, 1, 30);
+    await q.start();
+    const { rateWindows } = await helpers.received(q, 'stats');
+    assert.deepEqual(rateWindows, [ { limit: 10, intervalMs: 1000, usage: 1 } ]);
+    await q.pause();
+  });
+
+  it('stats should report usage against each window', async function() {
+    const rateLimit = [ { limit: 600, intervalMs: 60000 }, { limit: 10000, intervalMs: 86400000 } ];
+    const q = qyu({ log, rateLimit, rateStrategy: 'slidingWindow', statsInterval: 10 });
+    pushTimedJobsTo(q, 3, 30);
+    await q.start();
+    const { rateWindows } = await helpers.received(q, 'stats');
+    assert.deepEqual(rateWindows, [
+      { limit: 600, intervalMs: 60000, usage: 3 },
+      { limit: 10000, intervalMs: 86400000, usage: 3 },
+    ]);
+    await q.pause();
+  });
+
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { Writable, pipeline } = require('stream');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('results', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('for await should provide outcomes in the order jobs end, until drain', async function() {
+    const q = qyu({ log, concurrency: 3 });
+    const slow = q.push(helpers.makeJobThenWait(() => {}, 30));
+    const failing = q.push(async () => {
+      await helpers.wait(10);
+      throw new Error('oops');
+    });
+    const fast = q.push(async () => 'fast');
+    const outcomes = [];
+    const results = q.results();
+    await q.start();
+    for await (const outcome of results) {
+      outcomes.push(outcome);
+    }
+    assert.deepEqual(outcomes.map(({ jobId }) => jobId), [ fast.jobId, failing.jobId, slow.jobId ]);
+    assert.equal(outcomes[0].jobResult, 'fast');
+    assert.equal(outcomes[1].error.message, 'oops');
+    assert.equal(q.listenerCount('done'), 0);
+  });
+
+  it('cancelled jobs should be provided too', async function() {
+    const q = qyu({ log });
+    const results = q.results();
+    const job = q.push(helpers.makeWait(5));
+    q.cancel(job.jobId);
+    await q.start();
+    const outcomes = [];
+    for await (const outcome of results) {
+      outcomes.push(outcome);
+    }
+    assert.equal(outcomes.length, 1);
+    assert.equal(outcomes[0].cancelled, true);
+    assert(outcomes[0].reason instanceof qyu.CancelError);
+  });
+
+  it('a slow consumer should hold job starts', async function() {
+    const q = qyu({ log, concurrency: 4 });
+    q.on('error', helpers.throwOnErrorEvent);
+    let started = 0, consumed = 0, maxLag = 0;
+    for (let i = 0; i < 30; ++i) {
+      q.push(async () => {
+        maxLag = Math.max(maxLag, ++started - consumed);
+        return i;
+      });
+    }
+    const consumer = new Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write: (outcome, encoding, callback) => setTimeout(() => { ++consumed; callback(); }, 2),
+    });
+    const piped = new Promise((resolve, reject) => pipeline(q.results({ highWaterMark: 2 }), consumer,
+      err => err ? reject(err) : resolve()));
+    await q.start();
+    await piped;
+    assert.equal(consumed, 30);
+    assert(maxLag <= 2 + 1 + 4 + 1, `jobs were started ${maxLag} results ahead of the consumer`);
+  });
+
+  it('with untilDrain: false, the stream should end when destroyed', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const results = q.results({ untilDrain: false });
+    await q.start();
+    q.push(async () => 1);
+    await helpers.received(q, 'drain');
+    q.push(async () => 2);
+    const outcomes = [];
+    for await (const { jobResult } of results) {
+      outcomes.push(jobResult);
+      if (outcomes.length === 2) break; // destroys the stream
+    }
+    assert.deepEqual(outcomes, [ 1, 2 ]);
+    assert.equal(q.listenerCount('done'), 0);
+  });
+
+});
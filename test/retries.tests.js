@@ -0,0 +1,136 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// returns a job that fails nbFailures times before returning res
+const makeFlakyJob = (nbFailures, res) => {
+  const job = async function flakyJob() {
+    if (++job.calls <= nbFailures) {
+      throw Error('failure #' + job.calls);
+    }
+    return res;
+  };
+  job.calls = 0;
+  return job;
+};
+
+const FAST_RETRY = { delay: 5, jitter: 0 };
+
+describe('job retries', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('failed jobs should not be retried by default', async function() {
+    const q = qyu({ log });
+    q.on('error', () => {});
+    const job = makeFlakyJob(1);
+    q.push(job);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(job.calls, 1);
+  });
+
+  it('a flaky job should succeed after retries, keeping its id', async function() {
+    const q = qyu({ log, retry: FAST_RETRY });
+    q.on('error', helpers.throwOnErrorEvent);
+    const job = makeFlakyJob(2, 'ok');
+    const retries = [];
+    q.on('retry', (retry) => retries.push(retry));
+    const pushPromise = q.push(job);
+    await q.start();
+    const { jobId, jobResult } = await pushPromise;
+    assert.equal(jobResult, 'ok');
+    assert.equal(job.calls, 3);
+    assert.deepEqual(retries.map(r => r.attempt), [ 1, 2 ]);
+    retries.forEach(retry => assert.equal(retry.jobId, jobId));
+  });
+
+  it('error should only be emitted after the final attempt', async function() {
+    const q = qyu({ log, retry: Object.assign({ attempts: 3 }, FAST_RETRY), rejectErrorsOnPush: true });
+    const events = [];
+    q.on('retry', () => events.push('retry'));
+    q.on('error', () => events.push('error'));
+    const job = makeFlakyJob(Infinity);
+    const pushPromise = q.push(job);
+    await q.start();
+    await assert.rejects(pushPromise, ({ error }) => error.message === 'failure #3');
+    assert.deepEqual(events, [ 'retry', 'retry', 'error' ]);
+  });
+
+  it('drain should not be emitted while a job is waiting for its retry', async function() {
+    const q = qyu({ log, retry: { delay: 50, jitter: 0 } });
+    q.on('error', helpers.throwOnErrorEvent);
+    const job = makeFlakyJob(1);
+    q.push(job);
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(job.calls, 2);
+  });
+
+  it('push() retry options should override the queue ones', async function() {
+    const q = qyu({ log, retry: FAST_RETRY });
+    q.on('error', () => {});
+    const noRetry = makeFlakyJob(1), moreRetries = makeFlakyJob(4);
+    q.push(noRetry, { retry: false });
+    q.push(moreRetries, { retry: { attempts: 5 } });
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(noRetry.calls, 1);
+    assert.equal(moreRetries.calls, 5);
+  });
+
+  it('shouldRetry() should be able to prevent retries', async function() {
+    const shouldRetry = (error, attempt) => !(error instanceof TypeError);
+    const q = qyu({ log, retry: Object.assign({ shouldRetry }, FAST_RETRY) });
+    q.on('error', () => {});
+    let calls = 0;
+    q.push(async function job() {
+      ++calls;
+      throw TypeError('not worth retrying');
+    });
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(calls, 1);
+  });
+
+  it('retry delays should grow exponentially', async function() {
+    const q = qyu({ log, retry: { attempts: 4, delay: 10, factor: 3, jitter: 0 } });
+    q.on('error', () => {});
+    const delays = [];
+    q.on('retry', ({ delay }) => delays.push(delay));
+    q.push(makeFlakyJob(Infinity));
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.deepEqual(delays, [ 10, 30, 90 ]);
+  });
+
+  it('retry delays should be capped by maxDelay and randomized by jitter', async function() {
+    const q = qyu({ log, retry: { attempts: 4, delay: 10, factor: 3, maxDelay: 20, jitter: 0.5 } });
+    q.on('error', () => {});
+    const delays = [];
+    q.on('retry', ({ delay }) => delays.push(delay));
+    q.push(makeFlakyJob(Infinity));
+    await q.start();
+    await helpers.received(q, 'drain');
+    assert.equal(delays.length, 3);
+    assert(delays[0] >= 5 && delays[0] <= 10);
+    delays.slice(1).forEach(delay => assert(delay >= 10 && delay <= 20));
+  });
+
+  it('timed out jobs should be retried too', async function() {
+    const q = qyu({ log, timeout: 10, retry: FAST_RETRY });
+    q.on('error', helpers.throwOnErrorEvent);
+    let calls = 0;
+    const pushPromise = q.push(() => ++calls === 1 ? new Promise(() => {}) : 'ok');
+    await q.start();
+    const { jobResult } = await pushPromise;
+    assert.equal(jobResult, 'ok');
+    assert.equal(calls, 2);
+  });
+
+});
@@ -0,0 +1,199 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+const { parseCron } = require('../cron');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('recurring jobs', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  describe('cron expressions', function() {
+
+    // local date, with month from 1 to 12
+    const date = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min);
+
+    it('should find the next matching minute', function() {
+      assert.deepEqual(parseCron('*/15 * * * *').next(date(2024, 1, 1, 10, 7)), date(2024, 1, 1, 10, 15));
+      assert.deepEqual(parseCron('* * * * *').next(date(2024, 1, 1, 10, 7)), date(2024, 1, 1, 10, 8));
+      assert.deepEqual(parseCron('0 * * * *').next(date(2024, 1, 1, 10, 0)), date(2024, 1, 1, 11, 0));
+    });
+
+    it('should support ranges, lists and steps', function() {
+      const cron = parseCron('0,30 9-17/4 * * *');
+      assert.deepEqual(cron.next(date(2024, 1, 1, 8, 0)), date(2024, 1, 1, 9, 0));
+      assert.deepEqual(cron.next(date(2024, 1, 1, 9, 0)), date(2024, 1, 1, 9, 30));
+      assert.deepEqual(cron.next(date(2024, 1, 1, 9, 30)), date(2024, 1, 1, 13, 0));
+      assert.deepEqual(cron.next(date(2024, 1, 1, 17, 30)), date(2024, 1, 2, 9, 0));
+    });
+
+    it('should support days of month, months and days of week', function() {
+      assert.deepEqual(parseCron('0 3 1 * *').next(date(2024, 1, 15)), date(2024, 2, 1, 3, 0));
+      assert.deepEqual(parseCron('0 0 29 2 *').next(date(2024, 3, 1)), date(2028, 2, 29));
+      assert.deepEqual(parseCron('0 0 * * 0').next(date(2024, 1, 1)), date(2024, 1, 7)); // Sunday
+      assert.deepEqual(parseCron('0 0 * * 7').next(date(2024, 1, 1)), date(2024, 1, 7)); // Sunday
+      // when both days are restricted, either of them matches
+      assert.deepEqual(parseCron('0 0 15 * 5').next(date(2024, 1, 1)), date(2024, 1, 5));
+    });
+
+    it('should reject invalid expressions', function() {
+      assert.throws(() => parseCron('* * * *'), /invalid cron expression/);
+      assert.throws(() => parseCron('60 * * * *'), /invalid cron minute/);
+      assert.throws(() => parseCron('* * * 0 *'), /invalid cron month/);
+      assert.throws(() => parseCron('*/0 * * * *'), /invalid cron minute/);
+    });
+
+    it('should return null if no date matches', function() {
+      assert.equal(parseCron('0 0 30 2 *').next(date(2024, 1, 1)), null);
+    });
+
+  });
+
+  it('a job should be run at every interval', async function() {
+    const q = qyu({ log });
+    let runs = 0;
+    q.schedule('counter', async () => ++runs, { every: 20 });
+    await q.start();
+    await helpers.wait(110);
+    q.unschedule('counter');
+    assert(runs >= 3 && runs <= 5, 'job ran ' + runs + ' times');
+    await q.pause();
+  });
+
+  it('runs should be skipped while the queue is paused', async function() {
+    const q = qyu({ log });
+    let runs = 0;
+    q.schedule('counter', async () => ++runs, { every: 10 });
+    await helpers.wait(50); // not started yet
+    assert.equal(runs, 0);
+    await q.start();
+    await helpers.wait(35);
+    await q.pause();
+    const runsBeforePause = runs;
+    assert(runsBeforePause >= 2, 'job ran ' + runsBeforePause + ' times');
+    await helpers.wait(50);
+    assert.equal(runs, runsBeforePause);
+    q.unschedule('counter');
+  });
+
+  it('runs of the same schedule should not overlap', async function() {
+    const q = qyu({ log, concurrency: 10 });
+    let running = 0, maxRunning = 0, runs = 0;
+    q.schedule('slow', async function slowJob() {
+      maxRunning = Math.max(maxRunning, ++running);
+      ++runs;
+      await helpers.wait(45);
+      --running;
+    }, { every: 10 });
+    await q.start();
+    await helpers.wait(120);
+    q.unschedule('slow');
+    assert.equal(maxRunning, 1);
+    assert(runs >= 2 && runs <= 3, 'job ran ' + runs + ' times');
+    await q.pause();
+  });
+
+  it('runs should be pushed with the given priority', async function() {
+    const q = qyu({ log });
+    const order = [];
+    q.push(helpers.makeWait(30), { priority: 1 }); // keeps the queue busy while the schedule fires
+    q.push(async () => order.push('pushed'), { priority: 5 });
+    q.schedule('urgent', async () => order.push('scheduled'), { every: 10, priority: 1 });
+    await q.start();
+    await helpers.wait(50);
+    q.unschedule('urgent');
+    assert.deepEqual(order.slice(0, 2), [ 'scheduled', 'pushed' ]);
+    await q.pause();
+  });
+
+  it('schedules should be listed and removed', async function() {
+    const q = qyu({ log });
+    const job = async () => {};
+    q.schedule('often', job, { every: 60000, priority: 3 });
+    q.schedule('hourly', job, { cron: '0 * * * *' });
+    const schedules = q.listSchedules();
+    assert.deepEqual(schedules.map(s => s.name), [ 'often', 'hourly' ]);
+    assert.equal(schedules[0].every, 60000);
+    assert.equal(schedules[0].priority, 3);
+    assert.equal(schedules[1].cron, '0 * * * *');
+    assert.equal(schedules[1].nextRunAt.getMinutes(), 0);
+    assert(schedules[1].nextRunAt > new Date());
+    assert.equal(q.unschedule('often'), true);
+    assert.equal(q.unschedule('often'), false);
+    assert.equal(q.unschedule('hourly'), true);
+    assert.deepEqual(q.listSchedules(), []);
+  });
+
+  it('schedule() should reject invalid arguments', function() {
+    const q = qyu({ log });
+    const job = async () => {};
+    assert.throws(() => q.schedule('none', job, {}), /either `every` or `cron`/);
+    assert.throws(() => q.schedule('both', job, { every: 10, cron: '* * * * *' }), /either `every` or `cron`/);
+    q.schedule('twice', job, { every: 10 });
+    assert.throws(() => q.schedule('twice', job, { every: 10 }), /already named twice/);
+    q.unschedule('twice');
+    assert.throws(() => q.schedule('daily', job, { every: 10, id: 'daily' }), /does not accept `id` nor `dedupeKey`/);
+    assert.throws(() => q.schedule('daily', job, { every: 10, dedupeKey: 'daily' }), /does not accept `id` nor `dedupeKey`/);
+  });
+
+  it('a run that can\'t be pushed should emit an error, and the next runs should still happen', async function() {
+    const q = qyu({ log, maxQueueSize: 1, overflow: 'dropLowest' });
+    const errors = [];
+    q.on('error', ({ jobId, schedule, error }) => errors.push({ jobId, schedule, error }));
+    let runs = 0;
+    q.push(helpers.makeWait(10), { priority: 1, delay: 70 }); // fills the queue, until it runs
+    q.schedule('counter', async () => ++runs, { every: 20, priority: 5 });
+    await q.start();
+    await helpers.wait(140);
+    q.unschedule('counter');
+    assert(errors.length >= 2, `${errors.length} errors`);
+    errors.forEach(({ jobId, schedule, error }) => {
+      assert.equal(jobId, null);
+      assert.equal(schedule, 'counter');
+      assert(error instanceof qyu.QueueFullError);
+    });
+    assert(runs >= 1, 'job ran ' + runs + ' times');
+    await q.pause();
+  });
+
+  it('a run that can\'t enter a full queue should emit an error, with the reject policy', async function() {
+    const q = qyu({ log, maxQueueSize: 1 });
+    const errors = [];
+    q.on('error', ({ schedule, error }) => errors.push({ schedule, error }));
+    const filler = q.push(helpers.makeWait(10), { delay: 1000 }); // fills the queue
+    q.schedule('counter', async () => {}, { every: 20 });
+    await q.start();
+    await helpers.wait(70);
+    q.unschedule('counter');
+    q.cancel(filler.jobId);
+    assert(errors.length >= 2, `${errors.length} errors`);
+    errors.forEach(({ schedule, error }) => {
+      assert.equal(schedule, 'counter');
+      assert(error instanceof qyu.QueueFullError);
+    });
+    await q.pause();
+  });
+
+  it('a run that depends on a forgotten job should emit an error', async function() {
+    const q = qyu({ log, historySize: 1 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const dependency = q.push(async () => 1);
+    await q.start();
+    await dependency;
+    await q.push(async () => 2); // evicts the dependency from the history
+    q.removeAllListeners('error');
+    const errors = [];
+    q.on('error', ({ schedule, error }) => errors.push([ schedule, error.message ]));
+    q.schedule('dependent', async () => 3, { every: 10, dependsOn: [ dependency.jobId ] });
+    await helpers.wait(35);
+    q.unschedule('dependent');
+    assert(errors.length >= 2, `${errors.length} errors`);
+    assert.deepEqual(errors[0], [ 'dependent', `unknown dependency: job ${dependency.jobId}` ]);
+    await q.pause();
+  });
+
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+describe('stats', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('stats should count pending, running, scheduled and blocked jobs', async function() {
+    const q = qyu({ log, concurrency: 2, statsInterval: 10 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const first = q.push(helpers.makeWait(50), { priority: 1 });
+    q.push(helpers.makeWait(50), { priority: 1 });
+    q.push(helpers.makeWait(10), { priority: 5 });
+    const delayed = q.push(helpers.makeWait(10), { priority: 5, delay: 1000 });
+    q.push(helpers.makeWait(10), { priority: 5, dependsOn: [ first.jobId ] });
+    const stats = helpers.received(q, 'stats');
+    await q.start();
+    const { pending, running, scheduled, blocked, byPriority } = await stats;
+    assert.deepEqual({ pending, running, scheduled, blocked }, { pending: 1, running: 2, scheduled: 1, blocked: 1 });
+    assert.equal(byPriority[1].running, 2);
+    assert.equal(byPriority[1].pending, 0);
+    assert.equal(byPriority[5].pending, 1);
+    assert.equal(byPriority[5].scheduled, 1);
+    await q.pause();
+    q.cancel(delayed.jobId); // clears its timer
+  });
+
+  it('stats should provide success and error rates, and totals', async function() {
+    const q = qyu({ log, concurrency: 10, retry: { attempts: 2, delay: 1 } });
+    q.on('error', () => {});
+    q.push(async () => 'ok');
+    q.push(async () => 'ok', { priority: 1 });
+    q.push(async () => 'ok', { priority: 1 });
+    q.push(async () => { throw new Error('failed'); }, { priority: 1 });
+    q.cancel(q.push(async () => 'never').jobId);
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    const stats = q.getStats();
+    assert.equal(stats.done, 3);
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.successRate, 0.75);
+    assert.equal(stats.errorRate, 0.25);
+    assert.deepEqual(stats.totals, { pushed: 5, started: 5, done: 3, failed: 1, cancelled: 1, retried: 1 });
+    assert.equal(stats.byPriority[1].errorRate, 1 / 3);
+    assert.equal(stats.byPriority[10].successRate, 1);
+  });
+
+  it('stats should provide percentiles of wait and run times', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    for (let i = 0; i < 4; ++i) {
+      q.push(helpers.makeWait(20));
+    }
+    const drained = helpers.received(q, 'drain');
+    await q.start();
+    await drained;
+    const { waitTime, runTime } = q.getStats();
+    // jobs run in series => each job waits for the previous ones
+    assert(waitTime.p50 >= 20 && waitTime.p50 < 50, 'p50 of wait time: ' + waitTime.p50);
+    assert(waitTime.p99 >= 60, 'p99 of wait time: ' + waitTime.p99);
+    assert(runTime.p50 >= 19 && runTime.p99 < 50, 'run time: ' + JSON.stringify(runTime));
+  });
+
+  it('rates and percentiles should only cover the last metricsWindow ms', async function() {
+    const q = qyu({ log, metricsWindow: 30 });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    await q.push(async () => 'ok');
+    assert.equal(q.getStats().done, 1);
+    await helpers.wait(40);
+    const stats = q.getStats();
+    assert.equal(stats.done, 0);
+    assert.equal(stats.successRate, null);
+    assert.deepEqual(stats.runTime, { p50: null, p95: null, p99: null });
+    assert.equal(stats.totals.done, 1);
+  });
+
+});
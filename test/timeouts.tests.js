@@ -0,0 +1,94 @@
+const assert = require('assert');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+// returns a job that never ends, unless its signal is aborted
+const makeHungJob = () => function hungJob({ signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+};
+
+describe('job timeouts', function() {
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a job that exceeds the queue timeout should fail with a TimeoutError', async function() {
+    const TIMEOUT = 30;
+    const q = qyu({ log, timeout: TIMEOUT });
+    const errorEvent = helpers.received(q, 'error');
+    q.push(makeHungJob());
+    await q.start();
+    const { error } = await errorEvent;
+    assert(error instanceof qyu.TimeoutError);
+    assert.equal(error.timeout, TIMEOUT);
+  });
+
+  it('job signal should be aborted on timeout', function(done) {
+    const q = qyu({ log, timeout: 20 });
+    q.on('error', () => {});
+    q.push(({ signal }) => new Promise(() => {
+      signal.addEventListener('abort', () => {
+        assert(signal.reason instanceof qyu.TimeoutError);
+        done();
+      });
+    }));
+    q.start();
+  });
+
+  it('push() timeout should override the queue timeout', async function() {
+    const q = qyu({ log, timeout: 10 });
+    q.on('error', helpers.throwOnErrorEvent);
+    const job = helpers.makeSpyJob(40);
+    const pushPromise = q.push(job, { timeout: 200 });
+    await q.start();
+    const { jobResult } = await pushPromise;
+    assert.equal(job.done, true);
+    assert.deepEqual(jobResult, { Hello: 'world!' });
+  });
+
+  it('push() timeout should apply when the queue has none', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    const pushPromise = q.push(makeHungJob(), { timeout: 20 });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(pushPromise, ({ error }) => error instanceof qyu.TimeoutError);
+  });
+
+  it('a timed out job should free its slot for the next job', async function() {
+    const q = qyu({ log, timeout: 20 });
+    q.on('error', () => {});
+    const job = helpers.makeSpyJob(5);
+    q.push(() => new Promise(() => {})); // never ends, ignores its signal
+    const pushPromise = q.push(job);
+    await q.start();
+    await pushPromise;
+    assert.equal(job.done, true);
+  });
+
+  it('pause() should resolve after a hung job timed out', async function() {
+    const q = qyu({ log, timeout: 20 });
+    q.on('error', () => {});
+    q.push(() => new Promise(() => {})); // never ends, ignores its signal
+    await q.start();
+    await q.pause();
+  });
+
+  it('a job settling after its timeout should not be reported twice', async function() {
+    const q = qyu({ log, timeout: 10 });
+    let nbEvents = 0;
+    q.on('done', () => ++nbEvents);
+    q.on('error', () => ++nbEvents);
+    q.push(helpers.makeWait(30));
+    await q.start();
+    await helpers.wait(50);
+    assert.equal(nbEvents, 1);
+    assert.equal(q.rateLimiter.running, 0);
+  });
+
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const path = require('path');
+const helpers = require('./_helpers');
+const qyu = require('../qyu');
+let log = { trace: () => {}, debug: () => {} }; // helpers.createLogger()
+
+const PARSE_JOB = path.join(__dirname, 'fixtures', 'parse-job.js');
+const ESM_JOB = path.join(__dirname, 'fixtures', 'esm-job.mjs');
+
+describe('worker threads', function() {
+
+  this.timeout(5000); // starting workers can be slow on CI
+
+  if (process.env.TRACES) {
+    beforeEach(function() {
+      log = helpers.createSmartLog();
+    });
+  }
+
+  it('a module job should run in a worker, with its payload and context', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    const done = helpers.received(q, 'done');
+    const first = q.push(async () => 1);
+    const promise = q.push({ module: PARSE_JOB, payload: { action: 'double', value: 21 } }, {
+      dependsOn: [ first.jobId ]
+    });
+    await q.start();
+    const { jobResult } = await promise;
+    assert.deepEqual(jobResult, { jobId: promise.jobId, doubled: 42, dependencies: { [first.jobId]: 1 } });
+    assert.equal((await done).jobId, first.jobId);
+  });
+
+  it('ES modules should be supported too', async function() {
+    const q = qyu({ log });
+    q.on('error', helpers.throwOnErrorEvent);
+    await q.start();
+    assert.equal((await q.push({ module: ESM_JOB, payload: 'hello' })).jobResult, 'HELLO');
+  });
+
+  it('errors and progress should be marshalled back to the queue', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    const events = [];
+    q.on('progress', ({ progress, details }) => events.push([ progress, details ]));
+    q.on('error', ({ error }) => events.push(error.name));
+    await q.start();
+    assert.equal((await q.push({ module: PARSE_JOB, payload: { action: 'progress' } })).jobResult, 'reported');
+    await assert.rejects(q.push({ module: PARSE_JOB, payload: { action: 'throw', message: 'bad html' } }),
+      ({ error }) => error instanceof Error && error.message === 'bad html' && error.code === 'E_PARSE');
+    assert.deepEqual(events, [ [ 0.5, 'halfway' ], 'TypeError' ]);
+  });
+
+  it('CPU-bound jobs should not block the main thread, and run in parallel', async function() {
+    const q = qyu({ log, concurrency: 2 });
+    q.on('error', helpers.throwOnErrorEvent);
+    let ticks = 0;
+    const interval = setInterval(() => ++ticks, 10);
+    const promises = [ 1, 2 ].map(() => q.push({ module: PARSE_JOB, payload: { action: 'spin', ms: 300 } }));
+    const t0 = Date.now();
+    await q.start();
+    await Promise.all(promises);
+    const elapsed = Date.now() - t0;
+    clearInterval(interval);
+    assert(ticks >= 5, `main thread ticked ${ticks} times`);
+    assert(elapsed < 550, `jobs took ${elapsed} ms`);
+    assert.equal(q.executors.get('worker').workers.size, 2); // as many as the concurrency limit
+  });
+
+  it('a worker should be terminated when its job times out, and replaced', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(q.push({ module: PARSE_JOB, payload: { action: 'spin', ms: 5000 } }, { timeout: 50 }),
+      ({ error }) => error instanceof qyu.TimeoutError);
+    const { jobResult } = await q.push({ module: PARSE_JOB, payload: { action: 'double', value: 1 } });
+    assert.equal(jobResult.doubled, 2);
+  });
+
+  it('a crashing worker should fail its job', async function() {
+    const q = qyu({ log, rejectErrorsOnPush: true });
+    q.on('error', () => {});
+    await q.start();
+    await assert.rejects(q.push({ module: PARSE_JOB, payload: { action: 'crash' } }),
+      ({ error }) => error.message === 'crashed');
+    const { jobResult } = await q.push({ module: PARSE_JOB, payload: { action: 'double', value: 2 } });
+    assert.equal(jobResult.doubled, 4);
+  });
+
+  it('push() should reject invalid jobs', function() {
+    const q = qyu({ log });
+    assert.throws(() => q.push({ payload: 1 }), /job must be a function, or a { module, payload } object/);
+    assert.throws(() => q.push({ module: PARSE_JOB }, { executor: 'gpu' }), /unknown executor: gpu/);
+  });
+
+});
@@ -0,0 +1,8 @@
+/**
+ * Entry point of the worker threads of WorkerPool: runs the jobs that the main thread sends.
+ */
+
+const { parentPort } = require('worker_threads');
+const runModule = require('./runModule');
+
+parentPort.on('message', task => runModule(task, message => parentPort.postMessage(message)));